@@ -0,0 +1,4 @@
+// config/landedCharges.js - Kinds of charges that can be added to the cost of purchased goods
+const landedChargeCategories = ['freight', 'loading', 'unloading', 'other'];
+
+module.exports = landedChargeCategories;
@@ -0,0 +1,46 @@
+// config/numbering.js - Document number series
+// prefix and reset period ('yearly' or 'daily') can be set per series from .env
+const series = {
+    sale: {
+        prefix: process.env.SALE_INVOICE_PREFIX || 'AWP',
+        reset: process.env.SALE_INVOICE_RESET || 'yearly'
+    },
+    return: {
+        prefix: process.env.SALE_RETURN_PREFIX || 'AWP-R',
+        reset: process.env.SALE_RETURN_RESET || 'yearly'
+    },
+    purchase: {
+        prefix: process.env.PURCHASE_PREFIX || 'AWP-P',
+        reset: process.env.PURCHASE_RESET || 'yearly'
+    },
+    quotation: {
+        prefix: process.env.QUOTATION_PREFIX || 'AWP-Q',
+        reset: process.env.QUOTATION_RESET || 'yearly'
+    },
+    purchase_order: {
+        prefix: process.env.PURCHASE_ORDER_PREFIX || 'AWP-PO',
+        reset: process.env.PURCHASE_ORDER_RESET || 'yearly'
+    },
+    goods_receipt: {
+        prefix: process.env.GOODS_RECEIPT_PREFIX || 'AWP-GRN',
+        reset: process.env.GOODS_RECEIPT_RESET || 'yearly'
+    },
+    supplier_payment: {
+        prefix: process.env.SUPPLIER_PAYMENT_PREFIX || 'AWP-SP',
+        reset: process.env.SUPPLIER_PAYMENT_RESET || 'yearly'
+    },
+    purchase_return: {
+        prefix: process.env.PURCHASE_RETURN_PREFIX || 'AWP-DN',
+        reset: process.env.PURCHASE_RETURN_RESET || 'yearly'
+    },
+    stock_adjustment: {
+        prefix: process.env.STOCK_ADJUSTMENT_PREFIX || 'AWP-ADJ',
+        reset: process.env.STOCK_ADJUSTMENT_RESET || 'yearly'
+    },
+    stock_take: {
+        prefix: process.env.STOCK_TAKE_PREFIX || 'AWP-ST',
+        reset: process.env.STOCK_TAKE_RESET || 'yearly'
+    }
+};
+
+module.exports = series;
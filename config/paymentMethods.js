@@ -0,0 +1,4 @@
+// config/paymentMethods.js - Accepted payment methods (tender types)
+const paymentMethods = ['cash', 'bank_transfer', 'jazzcash', 'easypaisa', 'card', 'cheque'];
+
+module.exports = paymentMethods;
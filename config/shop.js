@@ -0,0 +1,20 @@
+// config/shop.js - Shop details printed on receipts and invoices, plus counter defaults
+const shop = {
+    name: process.env.SHOP_NAME || 'Al Waqas Paint Shop',
+    address: process.env.SHOP_ADDRESS || '',
+    phone: process.env.SHOP_PHONE || '',
+    footer: process.env.RECEIPT_FOOTER || 'Thank you for your business!',
+    // Days a quotation stays valid when no validUntil date is given
+    quotationValidityDays: parseInt(process.env.QUOTATION_VALIDITY_DAYS) || 15,
+    // Hours a held sale keeps its stock reserved before the reservation lapses
+    heldSaleReservationHours: parseInt(process.env.HELD_SALE_RESERVATION_HOURS) || 8,
+    // Days until an unpaid purchase bill falls due when no dueDate is given
+    supplierCreditDays: parseInt(process.env.SUPPLIER_CREDIT_DAYS) || 30,
+    // Reorder suggestions: days of sales the daily velocity is taken over, supplier
+    // lead time when none is set, and days of sales to order beyond the lead time
+    salesVelocityDays: parseInt(process.env.SALES_VELOCITY_DAYS) || 30,
+    defaultLeadTimeDays: parseInt(process.env.DEFAULT_LEAD_TIME_DAYS) || 7,
+    reorderCoverDays: parseInt(process.env.REORDER_COVER_DAYS) || 14
+};
+
+module.exports = shop;
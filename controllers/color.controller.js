@@ -35,7 +35,7 @@ const getColors = async (req, res) => {
 // @access  Private
 const createColor = async (req, res) => {
     try {
-        const { name, codeName, hexCode } = req.body;
+        const { name, codeName, hexCode, family } = req.body;
 
         // ONLY check if color with same hexCode already exists
         const existingColor = await Color.findOne({
@@ -54,6 +54,7 @@ const createColor = async (req, res) => {
             name,
            codeName: codeName?.trim(),
             hexCode: hexCode?.trim(),
+            family: family?.trim() || null,
             createdBy: req.user.id
         });
 
@@ -200,6 +201,7 @@ const uploadColorsFromCSV = async (req, res) => {
                         name: data.name.trim(),
                         codeName: data.codeName.trim().toUpperCase(),
                         hexCode: data.hexCode.toUpperCase(),
+                        family: data.family?.trim() || null,
                         createdBy: req.user.id
                     });
                 })
@@ -1,6 +1,35 @@
+const mongoose = require('mongoose');
 const Contact = require('../models/contact.model');
+const PriceList = require('../models/priceList.model');
+const Purchase = require('../models/purchase.model');
 const asyncHandler = require('express-async-handler');
 
+// Validate the price list assigned to a contact ('' or null clears it)
+const resolvePriceList = async (priceList, res) => {
+  if (priceList === undefined) return undefined;
+  if (!priceList) return null;
+
+  const list = await PriceList.findById(priceList);
+  if (!list || !list.isActive || list.tier === 'customer') {
+    res.status(400);
+    throw new Error('Price list not found or not a pricing tier');
+  }
+  return list._id;
+};
+
+// Supplier lead time in days: undefined = leave as is, '' / null = use the shop default
+const parseLeadTime = (leadTimeDays, res) => {
+  if (leadTimeDays === undefined) return undefined;
+  if (leadTimeDays === null || leadTimeDays === '') return null;
+
+  const days = Number(leadTimeDays);
+  if (!Number.isInteger(days) || days < 0) {
+    res.status(400);
+    throw new Error('Lead time must be a whole number of days');
+  }
+  return days;
+};
+
 // @desc    Get all contacts with filtering and pagination
 // @route   GET /api/contacts
 // @access  Private
@@ -74,7 +103,7 @@ const getContact = asyncHandler(async (req, res) => {
 // @route   POST /api/contacts
 // @access  Private
 const createContact = asyncHandler(async (req, res) => {
-  const { name, type, phone, address, email, balance } = req.body;
+  const { name, type, phone, address, email, balance, priceList, leadTimeDays } = req.body;
 
   // Check if contact already exists with same name and type
   const existingContact = await Contact.findOne({ 
@@ -94,7 +123,9 @@ const createContact = asyncHandler(async (req, res) => {
     phone,
     address,
     email,
-    balance: balance || 0
+    balance: balance || 0,
+    priceList: await resolvePriceList(priceList, res),
+    leadTimeDays: parseLeadTime(leadTimeDays, res)
   });
 
   res.status(201).json({
@@ -108,7 +139,7 @@ const createContact = asyncHandler(async (req, res) => {
 // @route   PUT /api/contacts/:id
 // @access  Private
 const updateContact = asyncHandler(async (req, res) => {
-  const { name, type, phone, address, email, balance, isActive } = req.body;
+  const { name, type, phone, address, email, balance, isActive, priceList, leadTimeDays } = req.body;
 
   let contact = await Contact.findById(req.params.id);
 
@@ -141,7 +172,9 @@ const updateContact = asyncHandler(async (req, res) => {
       address,
       email,
       balance,
-      isActive
+      isActive,
+      priceList: await resolvePriceList(priceList, res),
+      leadTimeDays: parseLeadTime(leadTimeDays, res)
     },
     {
       new: true,
@@ -216,6 +249,94 @@ const searchContacts = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get purchase history of a supplier
+// @route   GET /api/contacts/:id/purchases
+// @access  Private
+const getContactPurchases = asyncHandler(async (req, res) => {
+  const { startDate, endDate, product, page = 1, limit = 20 } = req.query;
+
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    res.status(404);
+    throw new Error('Contact not found');
+  }
+
+  if (contact.type !== 'supplier') {
+    res.status(400);
+    throw new Error('Purchase history is only kept for suppliers');
+  }
+
+  const filter = { supplier: contact._id };
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      filter.date.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      filter.date.$lte = end;
+    }
+  }
+
+  // Cast here: the same filter feeds the aggregate, which does not cast ids
+  if (product) {
+    if (!mongoose.isValidObjectId(product)) {
+      res.status(400);
+      throw new Error('Invalid product');
+    }
+    filter.product = new mongoose.Types.ObjectId(product);
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [purchases, total, totals] = await Promise.all([
+    Purchase.find(filter)
+      .populate('product', 'name type code')
+      .populate('color', 'name codeName hexCode')
+      .populate('purchaseOrder', 'orderNumber')
+      .sort({ date: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Purchase.countDocuments(filter),
+    Purchase.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          totalQuantity: { $sum: '$quantity' },
+          totalAmount: { $sum: '$totalAmount' },
+          totalDue: { $sum: '$balanceDue' },
+          firstPurchase: { $min: '$date' },
+          lastPurchase: { $max: '$date' }
+        }
+      }
+    ])
+  ]);
+
+  const summary = totals[0] || { totalQuantity: 0, totalAmount: 0, totalDue: 0, firstPurchase: null, lastPurchase: null };
+  delete summary._id;
+  summary.totalAmount = parseFloat(summary.totalAmount.toFixed(2));
+  summary.totalDue = parseFloat(summary.totalDue.toFixed(2));
+
+  res.json({
+    success: true,
+    contact: contact.getSummary(),
+    summary,
+    data: purchases,
+    pagination: {
+      current: pageNum,
+      pages: Math.ceil(total / limitNum),
+      total
+    }
+  });
+});
+
 module.exports = {
   getContacts,
   getContact,
@@ -223,5 +344,6 @@ module.exports = {
   updateContact,
   deleteContact,
   getContactsByType,
-  searchContacts
+  searchContacts,
+  getContactPurchases
 };
\ No newline at end of file
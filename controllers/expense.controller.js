@@ -1,5 +1,6 @@
 // controllers/expense.controller.js
 const Expense = require('../models/expense.model');
+const Shift = require('../models/shift.model');
 
 // @desc    Get all expenses
 // @route   GET /api/expenses
@@ -49,8 +50,16 @@ const getExpenses = async (req, res) => {
 // @access  Private
 const createExpense = async (req, res) => {
     try {
+        // The shift is assigned here, not taken from the client
+        const { shift, ...data } = req.body;
+
+        // Cash expenses are paid out of the drawer of the user's open shift
+        const paymentMethod = data.paymentMethod || 'cash';
+        const openShift = paymentMethod === 'cash' ? await Shift.findOpen(req.user.id) : null;
+
         const expense = await Expense.create({
-            ...req.body,
+            ...data,
+            shift: openShift ? openShift._id : null,
             createdBy: req.user.id
         });
 
@@ -76,9 +85,12 @@ const createExpense = async (req, res) => {
 // @access  Private
 const updateExpense = async (req, res) => {
     try {
+        // An expense stays on the shift it was recorded in
+        const { shift, ...data } = req.body;
+
         const expense = await Expense.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            data,
             { new: true, runValidators: true }
         ).populate('createdBy', 'name email');
 
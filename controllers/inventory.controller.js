@@ -1,6 +1,10 @@
 const Inventory = require('../models/inventory.model');
 const Product = require('../models/product.model');
 const Color = require('../models/color.model'); // MUST BE HERE
+const StockMovement = require('../models/stockMovement.model');
+const mongoose = require('mongoose');
+const shop = require('../config/shop');
+const { buildReorderSuggestions } = require('../utils/reorder');
 // GET ALL INVENTORY — INCLUDING ZERO STOCK
 // GET ALL INVENTORY — INCLUDING ZERO STOCK + AUTO COLOR MATCHING BY CODE
 const getInventory = async (req, res) => {
@@ -70,12 +74,11 @@ const getInventory = async (req, res) => {
   }
 };
 
-// GET LOW STOCK — ONLY REAL ENTRIES
+// GET LOW STOCK — ONLY REAL ENTRIES (out of stock included)
 const getLowStock = async (req, res) => {
   try {
     const lowStock = await Inventory.find({
-      $expr: { $lte: ['$quantity', '$minStockLevel'] },
-      quantity: { $gt: 0 } 
+      $expr: { $lte: ['$quantity', '$minStockLevel'] }
     })
       .populate('product', 'name type code purchasePrice')
       .populate('color', 'name codeName hexCode')
@@ -97,16 +100,134 @@ const getLowStock = async (req, res) => {
   }
 };
 
-// UPDATE INVENTORY
+// REORDER SUGGESTIONS — grouped by supplier, from sales velocity, lead time and min/max levels
+// GET /api/inventory/reorder-suggestions?supplier=
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const { supplier } = req.query;
+    if (supplier && !mongoose.isValidObjectId(supplier)) {
+      return res.status(400).json({ success: false, message: 'Invalid supplier' });
+    }
+
+    const groups = await buildReorderSuggestions({ supplier });
+
+    res.json({
+      success: true,
+      salesVelocityDays: shop.salesVelocityDays,
+      count: groups.reduce((sum, group) => sum + group.items.length, 0),
+      estimatedCost: parseFloat(groups.reduce((sum, group) => sum + group.estimatedCost, 0).toFixed(2)),
+      data: groups
+    });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building reorder suggestions',
+      error: error.message
+    });
+  }
+};
+
+// STOCK MOVEMENTS — journal of one product + color line, newest first
+// GET /api/inventory/:id/movements?type=&startDate=&endDate=&page=&limit=
+const getStockMovements = async (req, res) => {
+  try {
+    const { type, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid inventory item' });
+    }
+
+    const inventory = await Inventory.findById(req.params.id)
+      .populate('product', 'name type code')
+      .populate('color', 'name codeName hexCode');
+    if (!inventory) {
+      return res.status(404).json({ success: false, message: 'Inventory item not found' });
+    }
+
+    const filter = { inventory: inventory._id };
+    if (type) filter.type = type;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      inventory,
+      count: movements.length,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      data: movements
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements',
+      error: error.message
+    });
+  }
+};
+
+// UPDATE INVENTORY — min / max stock levels only; quantity changes go through
+// stock adjustments (POST /api/stock-adjustments) so every change has a reason
 const updateInventory = async (req, res) => {
   try {
-    const { quantity, minStockLevel } = req.body;
+    const { quantity, minStockLevel, maxStockLevel } = req.body;
+
+    if (quantity !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock quantity cannot be set directly. Post a stock adjustment with a reason instead'
+      });
+    }
+
+    const current = await Inventory.findById(req.params.id).select('minStockLevel maxStockLevel');
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found'
+      });
+    }
+
+    // Check the levels as they will be saved: a field not sent keeps its stored value
+    const nextMin = minStockLevel !== undefined ? minStockLevel : current.minStockLevel;
+    const nextMax = maxStockLevel !== undefined ? maxStockLevel : current.maxStockLevel;
+    if (nextMax !== null && nextMax !== undefined && nextMax !== '' &&
+      nextMin !== null && nextMin !== undefined && parseFloat(nextMax) < parseFloat(nextMin)) {
+      return res.status(400).json({ success: false, message: 'Max stock level cannot be below the min stock level' });
+    }
 
     const inventory = await Inventory.findByIdAndUpdate(
       req.params.id,
       {
-        quantity,
         minStockLevel,
+        // '' / null clears it: target level then follows sales velocity
+        maxStockLevel: maxStockLevel === '' ? null : maxStockLevel,
         lastUpdated: new Date(),
         updatedBy: req.user.id
       },
@@ -141,5 +262,7 @@ const updateInventory = async (req, res) => {
 module.exports = {
   getInventory,
   getLowStock,
+  getReorderSuggestions,
+  getStockMovements,
   updateInventory
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 const Ledger = require('../models/ledger.model');
+const Shift = require('../models/shift.model');
+const paymentMethods = require('../config/paymentMethods');
 
 // Get opening balance for a vendor on a specific date
 const getOpeningBalance = async (vendor, date) => {
@@ -26,7 +28,7 @@ const calculateClosingBalance = (openingBalance, transactionType, amount) => {
 // Add Transaction
 exports.addTransaction = async (req, res) => {
   try {
-    const { vendor, transactionType, amount, description, date } = req.body;
+    const { vendor, transactionType, amount, description, date, paymentMethod } = req.body;
 
     // Validation
     if (!vendor || !transactionType || !amount) {
@@ -50,6 +52,16 @@ exports.addTransaction = async (req, res) => {
       });
     }
 
+    if (paymentMethod && !paymentMethods.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `paymentMethod must be one of: ${paymentMethods.join(', ')}`,
+      });
+    }
+
+    // Cash paid in or out of the drawer goes to the user's own open shift
+    const openShift = paymentMethod === 'cash' ? await Shift.findOpen(req.user.id) : null;
+
     const transactionDate = date ? new Date(date) : new Date();
 
     // Get opening balance
@@ -68,6 +80,8 @@ exports.addTransaction = async (req, res) => {
       transactionType,
       amount,
       description,
+      paymentMethod: paymentMethod || null,
+      shift: openShift ? openShift._id : null,
       date: transactionDate,
       openingBalance,
       closingBalance,
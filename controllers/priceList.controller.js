@@ -0,0 +1,269 @@
+const PriceList = require('../models/priceList.model');
+const Product = require('../models/product.model');
+const Contact = require('../models/contact.model');
+const { createPriceResolver } = require('../utils/pricing');
+const httpError = require('../utils/httpError');
+
+const TIERS = ['retail', 'contractor', 'wholesale', 'customer'];
+
+// Validate price list entries ({ product, minQuantity, unitPrice, discount })
+const parseEntries = async (items) => {
+  if (!Array.isArray(items)) {
+    throw httpError(400, 'items must be an array of { product, minQuantity, unitPrice, discount }');
+  }
+
+  const entries = [];
+  for (let i = 0; i < items.length; i++) {
+    const { product, minQuantity = 1, unitPrice, discount = 0 } = items[i];
+    const entry = {
+      product,
+      minQuantity: parseFloat(minQuantity),
+      unitPrice: parseFloat(unitPrice),
+      discount: parseFloat(discount) || 0
+    };
+
+    if (!product || isNaN(entry.unitPrice) || entry.unitPrice < 0) {
+      throw httpError(400, `Item ${i + 1}: please provide product and a unitPrice of 0 or more`);
+    }
+    if (isNaN(entry.minQuantity) || entry.minQuantity < 0) {
+      throw httpError(400, `Item ${i + 1}: minQuantity must be 0 or more`);
+    }
+    if (entry.discount < 0 || entry.discount > 100) {
+      throw httpError(400, `Item ${i + 1}: discount must be between 0 and 100`);
+    }
+    if (entries.some(e => String(e.product) === String(product) && e.minQuantity === entry.minQuantity)) {
+      throw httpError(400, `Item ${i + 1}: duplicate quantity break for the same product`);
+    }
+    entries.push(entry);
+  }
+
+  const productIds = [...new Set(entries.map(e => String(e.product)))];
+  const found = await Product.countDocuments({ _id: { $in: productIds } });
+  if (found !== productIds.length) {
+    throw httpError(404, 'One or more products in the price list were not found');
+  }
+
+  return entries;
+};
+
+// Customer lists must point at an active customer; tier lists must not
+const resolveListCustomer = async (tier, customer) => {
+  if (tier !== 'customer') {
+    if (customer) throw httpError(400, 'Only customer price lists can have a customer');
+    return null;
+  }
+  if (!customer) {
+    throw httpError(400, 'Customer price lists need a customer');
+  }
+
+  const contact = await Contact.findById(customer);
+  if (!contact || !contact.isActive || contact.type !== 'customer') {
+    throw httpError(404, 'Customer not found');
+  }
+  return contact._id;
+};
+
+const populatePriceList = (query) => query
+  .populate('items.product', 'name type code salePrice discount')
+  .populate('customer', 'name phone')
+  .populate('createdBy', 'name email');
+
+// @desc    Get price lists
+// @route   GET /api/price-lists
+// @access  Private
+const getPriceLists = async (req, res) => {
+  try {
+    const { tier, customer, includeInactive } = req.query;
+    const filter = {};
+
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (tier) filter.tier = tier;
+    if (customer) filter.customer = customer;
+
+    const priceLists = await populatePriceList(PriceList.find(filter)).sort({ tier: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists
+    });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price lists',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single price list
+// @route   GET /api/price-lists/:id
+// @access  Private
+const getPriceList = async (req, res) => {
+  try {
+    const priceList = await populatePriceList(PriceList.findById(req.params.id));
+    if (!priceList) {
+      throw httpError(404, 'Price list not found');
+    }
+
+    res.json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    console.error('Get price list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching price list',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create price list (tier or per-customer)
+// @route   POST /api/price-lists
+// @access  Private (admin, superadmin)
+const createPriceList = async (req, res) => {
+  try {
+    const { name, tier, customer, discount = 0, items = [], notes } = req.body;
+
+    if (!name || !TIERS.includes(tier)) {
+      throw httpError(400, `Please provide name and tier (${TIERS.join(', ')})`);
+    }
+
+    const customerId = await resolveListCustomer(tier, customer);
+    if (customerId && await PriceList.exists({ customer: customerId, isActive: true })) {
+      throw httpError(400, 'This customer already has a price list. Update it instead');
+    }
+
+    const priceList = await PriceList.create({
+      name: name.trim(),
+      tier,
+      customer: customerId,
+      discount: parseFloat(discount) || 0,
+      items: await parseEntries(items),
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price list created successfully',
+      data: await populatePriceList(PriceList.findById(priceList._id))
+    });
+  } catch (error) {
+    console.error('Create price list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating price list',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update price list (items replace the current entries)
+// @route   PUT /api/price-lists/:id
+// @access  Private (admin, superadmin)
+const updatePriceList = async (req, res) => {
+  try {
+    const { name, discount, items, notes, isActive } = req.body;
+
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      throw httpError(404, 'Price list not found');
+    }
+
+    if (name !== undefined) priceList.name = name.trim();
+    if (discount !== undefined) priceList.discount = parseFloat(discount) || 0;
+    if (items !== undefined) priceList.items = await parseEntries(items);
+    if (notes !== undefined) priceList.notes = notes;
+    if (isActive !== undefined) priceList.isActive = Boolean(isActive);
+
+    await priceList.save();
+
+    res.json({
+      success: true,
+      message: 'Price list updated successfully',
+      data: await populatePriceList(PriceList.findById(priceList._id))
+    });
+  } catch (error) {
+    console.error('Update price list error:', error);
+    res.status(error.code === 11000 ? 400 : (error.statusCode || 500)).json({
+      success: false,
+      message: error.code === 11000
+        ? 'This customer already has an active price list'
+        : (error.statusCode ? error.message : 'Error updating price list'),
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate price list (customers on it fall back to product prices)
+// @route   DELETE /api/price-lists/:id
+// @access  Private (admin, superadmin)
+const deletePriceList = async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      throw httpError(404, 'Price list not found');
+    }
+
+    priceList.isActive = false;
+    await priceList.save();
+
+    res.json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deleting price list',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Price a product for a customer and quantity, as a sale would
+// @route   GET /api/price-lists/resolve?product=&customer=&quantity=
+// @access  Private
+const resolvePrice = async (req, res) => {
+  try {
+    const { product, customer, quantity = 1 } = req.query;
+
+    const productDoc = product ? await Product.findById(product) : null;
+    if (!productDoc) {
+      throw httpError(404, 'Product not found');
+    }
+
+    const customerDoc = customer ? await Contact.findById(customer) : null;
+    if (customer && !customerDoc) {
+      throw httpError(404, 'Customer not found');
+    }
+
+    const price = await createPriceResolver(customerDoc)(productDoc, parseFloat(quantity) || 1);
+
+    res.json({
+      success: true,
+      data: { product: productDoc._id, customer: customerDoc ? customerDoc._id : null, ...price }
+    });
+  } catch (error) {
+    console.error('Resolve price error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error resolving price',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  resolvePrice
+};
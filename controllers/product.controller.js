@@ -3,6 +3,75 @@ const Product = require('../models/product.model');
 const Purchase = require('../models/purchase.model');
 const Inventory = require('../models/inventory.model');
 const Color = require('../models/color.model'); // ← ADD THIS
+const Counter = require('../models/counter.model');
+const StockMovement = require('../models/stockMovement.model');
+const CostLayer = require('../models/costLayer.model');
+const Ledger = require('../models/ledger.model');
+const SupplierPayment = require('../models/supplierPayment.model');
+const PurchaseReturn = require('../models/purchaseReturn.model');
+const { parseTaxRate } = require('../utils/tax');
+const { OPENING_STOCK_SUPPLIER, resolveSupplier, openingStockSupplier, addCostLayer } = require('../utils/purchase');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Delete the purchases (and FIFO cost layers) of deleted products. Unpaid bills
+// come off the suppliers' payable balances; bills that supplier payments or
+// returns were booked against must be cleared by hand first.
+const removeProductPurchases = async (filter, session) => {
+    const purchases = await Purchase.find(filter).session(session);
+    const ids = purchases.map(purchase => purchase._id);
+
+    if (ids.length > 0) {
+        if (await SupplierPayment.exists({ 'allocations.purchase': { $in: ids } }).session(session)) {
+            throw httpError(400, 'Supplier payments were made against purchases of this stock. Delete them first');
+        }
+        if (await PurchaseReturn.exists({ purchase: { $in: ids } }).session(session)) {
+            throw httpError(400, 'Goods from purchases of this stock were returned to the supplier. Delete the returns first');
+        }
+    }
+
+    for (const purchase of purchases) {
+        if (purchase.supplier && purchase.balanceDue > 0) {
+            await Ledger.postEntry({
+                contact: purchase.supplier,
+                transactionType: 'receivable',
+                amount: purchase.balanceDue,
+                description: `Purchase ${purchase.purchaseNumber} deleted with its product`,
+                reference: purchase.purchaseNumber,
+                session
+            });
+        }
+    }
+
+    await CostLayer.deleteMany(filter, { session });
+    await Purchase.deleteMany(filter, { session });
+};
+
+// Journal the stock cleared when inventory rows are deleted with their product
+const journalClearedStock = async (filter, userId, session) => {
+    const rows = await Inventory.find({ ...filter, quantity: { $ne: 0 } }).session(session);
+    if (rows.length === 0) return;
+    await StockMovement.insertMany(rows.map(row => ({
+        inventory: row._id,
+        product: row.product,
+        color: row.color,
+        type: 'adjustment',
+        quantity: -row.quantity,
+        balanceAfter: 0,
+        referenceModel: 'Product',
+        referenceId: row.product,
+        note: 'Product deleted',
+        user: userId
+    })), { session });
+};
+
+// Preferred supplier for reorder suggestions: undefined = leave as is, '' / null = none
+const resolvePreferredSupplier = async (supplier) => {
+    if (supplier === undefined) return undefined;
+    if (!supplier) return null;
+    return (await resolveSupplier(supplier))._id;
+};
 
 // CSV Parser — SMART HEADER DETECTION
 const parseCSV = (csvText) => {
@@ -40,10 +109,14 @@ const addInitialStock = async (product, qty, userId, colorId = null) => {
     const session = await mongoose.startSession();
     try {
         await session.withTransaction(async () => {
-            await Purchase.create([{
+            const supplier = await openingStockSupplier(session);
+
+            const [purchase] = await Purchase.create([{
+                purchaseNumber: await Counter.nextNumber('purchase', new Date(), session),
                 product: product._id,
                 color: colorId,
-                supplier: 'Initial Stock',
+                supplier: supplier._id,
+                supplierName: supplier.name,
                 quantity: qty,
                 unitPrice: product.purchasePrice,
                 totalAmount: qty * product.purchasePrice,
@@ -51,15 +124,24 @@ const addInitialStock = async (product, qty, userId, colorId = null) => {
                 date: new Date()
             }], { session });
 
-            await Inventory.findOneAndUpdate(
-                { product: product._id, color: colorId },
-                {
-                    $inc: { quantity: qty },
-                    lastUpdated: new Date(),
-                    updatedBy: userId
-                },
-                { upsert: true, session }
-            );
+            await Inventory.adjustStock({
+                product: product._id,
+                color: colorId,
+                quantity: qty,
+                userId,
+                session,
+                type: 'opening',
+                reference: { model: 'Purchase', id: purchase._id, number: purchase.purchaseNumber },
+                note: 'Initial stock'
+            });
+
+            await addCostLayer(purchase, session, 'opening');
+            await Inventory.updateAverageCost({
+                product: product._id,
+                color: colorId,
+                moves: [{ quantity: qty, unitCost: product.purchasePrice }],
+                session
+            });
         });
     } catch (err) {
         console.error('Failed to add initial stock:', err);
@@ -84,7 +166,7 @@ const getProducts = async (req, res) => {
 // CREATE product
 const createProduct = async (req, res) => {
     try {
-        const { name, type, purchasePrice, salePrice, discount = 0, qty = 0, code } = req.body;
+        const { name, type, purchasePrice, salePrice, discount = 0, qty = 0, code, taxRate, preferredSupplier } = req.body;
 
         if (!name || !type || !purchasePrice || !salePrice) {
             return res.status(400).json({
@@ -121,6 +203,8 @@ const createProduct = async (req, res) => {
             salePrice: parseFloat(salePrice),
             discount: parseFloat(discount),
             code: code ? code.trim().toUpperCase() : null,
+            taxRate: parseTaxRate(taxRate),
+            preferredSupplier: await resolvePreferredSupplier(preferredSupplier),
             createdBy: req.user.id
         });
 
@@ -144,7 +228,7 @@ const createProduct = async (req, res) => {
 
     } catch (error) {
         console.error('Create product error:', error);
-        res.status(500).json({ success: false, message: 'Server error', error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Server error', error: error.message });
     }
 };
 
@@ -264,7 +348,7 @@ const uploadProductsFromCSV = async (req, res) => {
 // UPDATE PRODUCT
 const updateProduct = async (req, res) => {
     try {
-        const { name, type, purchasePrice, salePrice, discount = 0, code } = req.body;
+        const { name, type, purchasePrice, salePrice, discount = 0, code, taxRate, preferredSupplier } = req.body;
 
         if (!name || !type || !purchasePrice || !salePrice) {
             return res.status(400).json({ success: false, message: 'All fields required' });
@@ -286,16 +370,25 @@ const updateProduct = async (req, res) => {
         //     return res.status(400).json({ success: false, message: 'Product already exists' });
         // }
 
+        const update = {
+            name: name.trim(),
+            type: type.toLowerCase(),
+            purchasePrice: parseFloat(purchasePrice),
+            salePrice: parseFloat(salePrice),
+            discount: parseFloat(discount),
+            code: code ? code.trim().toUpperCase() : null
+        };
+        // Only touch the tax rate when the client sends it ('' / null = use the type rate)
+        if (taxRate !== undefined) {
+            update.taxRate = parseTaxRate(taxRate);
+        }
+        if (preferredSupplier !== undefined) {
+            update.preferredSupplier = await resolvePreferredSupplier(preferredSupplier);
+        }
+
         const updated = await Product.findByIdAndUpdate(
             req.params.id,
-            {
-                name: name.trim(),
-                type: type.toLowerCase(),
-                purchasePrice: parseFloat(purchasePrice),
-                salePrice: parseFloat(salePrice),
-                discount: parseFloat(discount),
-                code: code ? code.trim().toUpperCase() : null
-            },
+            update,
             { new: true, runValidators: true }
         ).populate('createdBy', 'name email');
 
@@ -307,7 +400,105 @@ const updateProduct = async (req, res) => {
 
     } catch (error) {
         console.error('Update error:', error);
-        res.status(500).json({ success: false, message: 'Failed to update' });
+        res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to update' });
+    }
+};
+
+// PURCHASE PRICE HISTORY: every price paid for a product (optionally one color),
+// and min / average / max / last price per supplier. Opening stock is left out.
+// GET /api/products/:id/purchase-prices?color=&supplier=&startDate=&endDate=
+const getPurchasePriceHistory = async (req, res) => {
+    try {
+        const { color, supplier, startDate, endDate } = req.query;
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            throw httpError(400, 'Invalid product');
+        }
+        const product = await Product.findById(req.params.id).select('name type code purchasePrice');
+        if (!product) {
+            throw httpError(404, 'Product not found');
+        }
+
+        // Aggregate $match does not cast ids, so cast them here
+        const match = { product: product._id, supplierName: { $ne: OPENING_STOCK_SUPPLIER } };
+        if (color !== undefined) {
+            if (color && !mongoose.isValidObjectId(color)) throw httpError(400, 'Invalid color');
+            match.color = color ? new mongoose.Types.ObjectId(color) : null;
+        }
+        if (supplier) {
+            if (!mongoose.isValidObjectId(supplier)) throw httpError(400, 'Invalid supplier');
+            match.supplier = new mongoose.Types.ObjectId(supplier);
+        }
+        if (startDate || endDate) {
+            match.date = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                match.date.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                match.date.$lte = end;
+            }
+            if (Object.values(match.date).some(value => isNaN(value.getTime()))) {
+                throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+            }
+        }
+
+        const [timeline, suppliers] = await Promise.all([
+            Purchase.find(match)
+                .select('purchaseNumber date supplier supplierName color quantity unitPrice effectiveUnitCost taxRate taxInclusive')
+                .populate('color', 'name codeName hexCode')
+                .sort({ date: 1, _id: 1 }),
+            Purchase.aggregate([
+                { $match: match },
+                { $sort: { date: 1, _id: 1 } },
+                {
+                    $group: {
+                        _id: '$supplier',
+                        supplierName: { $last: '$supplierName' },
+                        purchases: { $sum: 1 },
+                        totalQuantity: { $sum: '$quantity' },
+                        totalValue: { $sum: { $multiply: ['$quantity', '$unitPrice'] } },
+                        minPrice: { $min: '$unitPrice' },
+                        maxPrice: { $max: '$unitPrice' },
+                        lastPrice: { $last: '$unitPrice' },
+                        lastDate: { $last: '$date' }
+                    }
+                }
+            ])
+        ]);
+
+        // Average weighted by quantity; cheapest supplier first
+        const bySupplier = suppliers.map(row => ({
+            supplier: row._id,
+            supplierName: row.supplierName,
+            purchases: row.purchases,
+            totalQuantity: row.totalQuantity,
+            minPrice: row.minPrice,
+            avgPrice: row.totalQuantity ? round2(row.totalValue / row.totalQuantity) : 0,
+            maxPrice: row.maxPrice,
+            lastPrice: row.lastPrice,
+            lastDate: row.lastDate
+        })).sort((a, b) => a.avgPrice - b.avgPrice);
+
+        res.json({
+            success: true,
+            data: {
+                product,
+                bestSupplier: bySupplier[0] || null,
+                bySupplier,
+                timeline
+            }
+        });
+    } catch (error) {
+        console.error('Purchase price history error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error fetching purchase price history',
+            error: error.message
+        });
     }
 };
 
@@ -325,8 +516,9 @@ const bulkDeleteAllProducts = async (req, res) => {
     );
 
     // Delete related inventory & purchases
+    await journalClearedStock({}, req.user.id, session);
     await Inventory.deleteMany({}, { session });
-    await Purchase.deleteMany({}, { session });
+    await removeProductPurchases({}, session);
 
     await session.commitTransaction();
 
@@ -337,9 +529,9 @@ const bulkDeleteAllProducts = async (req, res) => {
   } catch (error) {
     await session.abortTransaction();
     console.error('Bulk delete error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Failed to delete all products' 
+      message: error.statusCode ? error.message : 'Failed to delete all products' 
     });
   } finally {
     session.endSession();
@@ -360,8 +552,9 @@ const deleteProduct = async (req, res) => {
         }
 
         await Product.findByIdAndUpdate(productId, { isActive: false }, { session });
+        await journalClearedStock({ product: productId }, req.user.id, session);
         await Inventory.deleteMany({ product: productId }, { session });
-        await Purchase.deleteMany({ product: productId }, { session });
+        await removeProductPurchases({ product: productId }, session);
 
         await session.commitTransaction();
 
@@ -369,7 +562,7 @@ const deleteProduct = async (req, res) => {
     } catch (error) {
         await session.abortTransaction();
         console.error('Delete error:', error);
-        res.status(500).json({ success: false, message: 'Failed to delete' });
+        res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to delete' });
     } finally {
         session.endSession();
     }
@@ -381,5 +574,6 @@ module.exports = {
     updateProduct,
     deleteProduct,
     uploadProductsFromCSV,
+    getPurchasePriceHistory,
     bulkDeleteAllProducts
 };
\ No newline at end of file
@@ -1,8 +1,25 @@
 const mongoose = require('mongoose');
 const Purchase = require('../models/purchase.model');
 const Product = require('../models/product.model');
-const Color = require('../models/color.model');
 const Inventory = require('../models/inventory.model'); // Add this import
+const Ledger = require('../models/ledger.model');
+const SupplierPayment = require('../models/supplierPayment.model');
+const CostLayer = require('../models/costLayer.model');
+const Color = require('../models/color.model');
+const Contact = require('../models/contact.model');
+const csv = require('csv-parser');
+const stream = require('stream');
+const { splitTax, parseTaxRate } = require('../utils/tax');
+const {
+    resolveSupplier,
+    parseAmountPaid,
+    resolveDueDate,
+    postSupplierCredit,
+    unitCostOf,
+    parseCharges,
+    recordPurchase
+} = require('../utils/purchase');
+const httpError = require('../utils/httpError');
 
 // @desc    Get all purchases
 // @route   GET /api/purchases
@@ -10,7 +27,7 @@ const Inventory = require('../models/inventory.model'); // Add this import
 // controllers/purchase.controller.js - FIXED WITH PRODUCT CODE
 const getPurchases = async (req, res) => {
     try {
-        const { startDate, endDate, supplier, product } = req.query;
+        const { startDate, endDate, supplier, product, paymentStatus } = req.query;
         
         let filter = {};
         
@@ -20,29 +37,41 @@ const getPurchases = async (req, res) => {
             if (endDate) filter.date.$lte = new Date(endDate);
         }
 
+        // Supplier contact id, or part of the supplier name
         if (supplier) {
-            filter.supplier = { $regex: supplier, $options: 'i' };
+            if (mongoose.isValidObjectId(supplier)) {
+                filter.supplier = supplier;
+            } else {
+                filter.supplierName = { $regex: supplier, $options: 'i' };
+            }
         }
 
         if (product) {
             filter.product = product;
         }
 
+        if (paymentStatus) {
+            filter.paymentStatus = paymentStatus;
+        }
+
         const purchases = await Purchase.find(filter)
             .populate({
                 path: 'product',
                 select: 'name type code purchasePrice salePrice description' // ADDED 'code' HERE
             })
             .populate('color', 'name hexCode')
+            .populate('supplier', 'name phone')
             .populate('createdBy', 'name email')
             .sort({ date: -1 });
 
         const totalAmount = purchases.reduce((sum, purchase) => sum + purchase.totalAmount, 0);
+        const totalDue = purchases.reduce((sum, purchase) => sum + purchase.balanceDue, 0);
 
         res.json({
             success: true,
             count: purchases.length,
             totalAmount,
+            totalDue,
             data: purchases
         });
     } catch (error) {
@@ -63,7 +92,7 @@ const createPurchase = async (req, res) => {
     session.startTransaction();
 
     try {
-        const { product, supplier, quantity, unitPrice, color } = req.body;
+        const { product, supplier, quantity, unitPrice, color, taxRate, amountPaid, dueDate, charges } = req.body;
 
         console.log('Creating purchase with data:', { product, supplier, quantity, unitPrice, color });
 
@@ -75,76 +104,30 @@ const createPurchase = async (req, res) => {
             });
         }
 
-        // Validate product exists
-        const productExists = await Product.findById(product);
-        if (!productExists) {
-            return res.status(404).json({
-                success: false,
-                message: 'Product not found'
-            });
-        }
-
-        // Validate color if provided
-        if (color && color !== '') {
-            const colorExists = await Color.findById(color);
-            if (!colorExists) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Color not found'
-                });
-            }
-        }
-
-        const totalAmount = quantity * unitPrice;
-
-        const purchaseData = {
-            product,
-            supplier: supplier.trim(),
-            quantity: parseInt(quantity),
-            unitPrice: parseFloat(unitPrice),
-            totalAmount,
-            createdBy: req.user.id,
-            color: color && color !== '' ? color : null
-        };
-
-        // CREATE PURCHASE
-        const purchase = await Purchase.create([purchaseData], { session });
-
-        // UPDATE OR CREATE INVENTORY
-        const inventoryFilter = {
-            product: product,
-            color: color && color !== '' ? color : null
-        };
-
-        await Inventory.findOneAndUpdate(
-            inventoryFilter,
-            { 
-                $inc: { quantity: parseInt(quantity) },
-                $set: { 
-                    lastUpdated: new Date(),
-                    updatedBy: req.user.id,
-                    minStockLevel: productExists.minStockLevel || 5
-                }
-            },
-            { upsert: true, session, new: true }
-        );
-
-        // UPDATE PRODUCT'S LATEST PURCHASE PRICE
-        await Product.findByIdAndUpdate(
+        const purchase = await recordPurchase({
             product,
-            { purchasePrice: parseFloat(unitPrice) },
-            { session }
-        );
+            color: color && color !== '' ? color : null,
+            supplier,
+            quantity,
+            unitPrice,
+            taxRate,
+            amountPaid,
+            dueDate,
+            charges,
+            userId: req.user.id,
+            session
+        });
 
         await session.commitTransaction();
 
         // Populate response
-        const populatedPurchase = await Purchase.findById(purchase[0]._id)
+        const populatedPurchase = await Purchase.findById(purchase._id)
             .populate({
                 path: 'product',
                 select: 'name type code purchasePrice salePrice'
             })
             .populate('color', 'name hexCode codeName')
+            .populate('supplier', 'name phone')
             .populate('createdBy', 'name email');
 
         res.status(201).json({
@@ -156,9 +139,9 @@ const createPurchase = async (req, res) => {
     } catch (error) {
         await session.abortTransaction();
         console.error('Create purchase error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Error creating purchase',
+            message: error.statusCode ? error.message : 'Error creating purchase',
             error: error.message
         });
     } finally {
@@ -174,7 +157,7 @@ const updatePurchase = async (req, res) => {
     session.startTransaction();
 
     try {
-        const { quantity, unitPrice, supplier, color, product: newProductId } = req.body;
+        const { quantity, unitPrice, supplier, color, product: newProductId, taxRate, amountPaid, dueDate, charges } = req.body;
 
         const purchase = await Purchase.findById(req.params.id).session(session);
         if (!purchase) {
@@ -184,19 +167,51 @@ const updatePurchase = async (req, res) => {
             });
         }
 
+        // Received stock is tracked on the goods receipt and its purchase order
+        if (purchase.goodsReceipt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Purchase was booked from a goods receipt and cannot be edited'
+            });
+        }
+
+        if (purchase.returnedQuantity > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Goods from this purchase were returned to the supplier; it cannot be edited'
+            });
+        }
+
+        const supplierDoc = supplier ? await resolveSupplier(supplier, session) : null;
+        const hasPayments = await SupplierPayment.exists({ 'allocations.purchase': purchase._id }).session(session);
+        if (hasPayments && supplierDoc && !supplierDoc._id.equals(purchase.supplier)) {
+            throw httpError(400, 'Supplier payments were made against this purchase; the supplier cannot be changed');
+        }
+
         const oldQuantity = purchase.quantity;
         const oldProductId = purchase.product;
         const oldColor = purchase.color;
-        const totalAmount = quantity * unitPrice;
+        const rate = parseTaxRate(taxRate);
+        const tax = {
+            taxRate: rate !== null ? rate : purchase.taxRate,
+            taxInclusive: purchase.taxInclusive
+        };
+        const { taxAmount, totalAmount } = splitTax(quantity * unitPrice, tax.taxRate, tax.taxInclusive);
 
         const updateData = {
             quantity: parseInt(quantity),
             unitPrice: parseFloat(unitPrice),
+            ...tax,
+            taxAmount,
             totalAmount,
-            supplier: supplier?.trim() || purchase.supplier,
+            supplier: supplierDoc ? supplierDoc._id : purchase.supplier,
+            supplierName: supplierDoc ? supplierDoc.name : purchase.supplierName,
             color: color !== undefined ? (color || null) : purchase.color,
             product: newProductId || purchase.product
         };
+        if (charges !== undefined) {
+            updateData.charges = parseCharges(charges);
+        }
 
         const updatedPurchase = await Purchase.findByIdAndUpdate(
             req.params.id,
@@ -204,57 +219,85 @@ const updatePurchase = async (req, res) => {
             { new: true, runValidators: true, session }
         );
 
-        // Update product's latest purchase price
-        if (unitPrice && parseFloat(unitPrice) !== purchase.unitPrice) {
+        // Keep the supplier payable in step with the new total. A bill that was
+        // fully paid on the spot stays paid; supplier payments fix the amount paid.
+        if (amountPaid !== undefined && amountPaid !== '') {
+            if (hasPayments) {
+                throw httpError(400, 'Amount paid on this purchase is managed through supplier payments');
+            }
+            updatedPurchase.amountPaid = parseAmountPaid(amountPaid, updatedPurchase.totalAmount);
+        } else if (purchase.paymentStatus === 'paid' && !hasPayments) {
+            updatedPurchase.amountPaid = updatedPurchase.totalAmount;
+        }
+        if (updatedPurchase.amountPaid > updatedPurchase.totalAmount) {
+            throw httpError(400, `${updatedPurchase.amountPaid} was already paid on this purchase; the total cannot go below that`);
+        }
+        if (dueDate !== undefined) {
+            updatedPurchase.dueDate = dueDate ? resolveDueDate(dueDate, updatedPurchase.date) : undefined;
+        }
+        updatedPurchase.updatePaymentStatus();
+        if (updatedPurchase.balanceDue > 0 && !updatedPurchase.dueDate) {
+            updatedPurchase.dueDate = resolveDueDate(null, updatedPurchase.date);
+        }
+        await updatedPurchase.save({ session });
+        await postSupplierCredit(updatedPurchase, { supplier: purchase.supplier, balanceDue: purchase.balanceDue }, session);
+
+        // Move the cost layer along; whatever was already sold from it stays sold
+        const layer = await CostLayer.findOne({ purchase: purchase._id }).session(session);
+        if (layer) {
+            const sold = layer.receivedQuantity - layer.remainingQuantity;
+            const sameStockRow = layer.product.equals(updatedPurchase.product) &&
+                String(layer.color || '') === String(updatedPurchase.color || '');
+            if (sold > 0 && !sameStockRow) {
+                throw httpError(400, `${sold} unit(s) from this purchase were already sold; product and color cannot change`);
+            }
+            if (updatedPurchase.quantity < sold) {
+                throw httpError(400, `${sold} unit(s) from this purchase were already sold; quantity cannot go below that`);
+            }
+            layer.set({
+                product: updatedPurchase.product,
+                color: updatedPurchase.color || null,
+                receivedQuantity: updatedPurchase.quantity,
+                remainingQuantity: updatedPurchase.quantity - sold,
+                unitCost: unitCostOf(updatedPurchase)
+            });
+            await layer.save({ session });
+        }
+
+        // Update product's latest purchase price (unit price plus landed charges)
+        if (updatedPurchase.effectiveUnitCost !== purchase.effectiveUnitCost) {
             const productToUpdate = newProductId || purchase.product;
             await Product.findByIdAndUpdate(
                 productToUpdate,
-                { purchasePrice: parseFloat(unitPrice) },
+                { purchasePrice: updatedPurchase.effectiveUnitCost },
                 { session }
             );
         }
 
-        // INVENTORY ADJUSTMENT LOGIC
-        if (newProductId && newProductId !== oldProductId) {
-            // PRODUCT CHANGED: Decrease old product inventory, increase new product inventory
-            if (oldProductId) {
-                await Inventory.findOneAndUpdate(
-                    { product: oldProductId, color: oldColor },
-                    { $inc: { quantity: -oldQuantity } },
-                    { session }
-                );
-            }
-            
-            if (newProductId) {
-                await Inventory.findOneAndUpdate(
-                    { product: newProductId, color: color || null },
-                    { $inc: { quantity: parseInt(quantity) } },
-                    { upsert: true, session }
-                );
-            }
-        } else if (quantity !== oldQuantity) {
-            // SAME PRODUCT, QUANTITY CHANGED: Adjust inventory
-            const qtyDiff = quantity - oldQuantity;
-            await Inventory.findOneAndUpdate(
-                { product: purchase.product, color: color || purchase.color || null },
-                { $inc: { quantity: qtyDiff } },
-                { session }
-            );
-        } else if (color !== undefined && color !== oldColor) {
-            // COLOR CHANGED: Move inventory between colors
-            if (oldColor) {
-                await Inventory.findOneAndUpdate(
-                    { product: purchase.product, color: oldColor },
-                    { $inc: { quantity: -oldQuantity } },
-                    { session }
-                );
+        // INVENTORY ADJUSTMENT: the old purchase comes out, the edited one goes in,
+        // and the average cost is revalued the same way
+        const removed = { product: oldProductId, color: oldColor || null };
+        const added = { product: updatedPurchase.product, color: updatedPurchase.color || null };
+        const outMove = { quantity: -oldQuantity, unitCost: unitCostOf(purchase) };
+        const inMove = { quantity: updatedPurchase.quantity, unitCost: unitCostOf(updatedPurchase) };
+        const movement = {
+            userId: req.user.id,
+            session,
+            type: 'purchase',
+            reference: { model: 'Purchase', id: purchase._id, number: purchase.purchaseNumber },
+            note: 'Purchase edited'
+        };
+        if (String(removed.product) === String(added.product) && String(removed.color || '') === String(added.color || '')) {
+            const qtyDiff = updatedPurchase.quantity - oldQuantity;
+            if (qtyDiff !== 0) {
+                await Inventory.adjustStock({ ...added, quantity: qtyDiff, ...movement });
             }
-            
-            await Inventory.findOneAndUpdate(
-                { product: purchase.product, color: color || null },
-                { $inc: { quantity: oldQuantity } },
-                { upsert: true, session }
-            );
+            await Inventory.updateAverageCost({ ...added, moves: [outMove, inMove], session });
+        } else {
+            await Inventory.adjustStock({ ...removed, quantity: -oldQuantity, ...movement });
+            await Inventory.adjustStock({ ...added, quantity: updatedPurchase.quantity, ...movement });
+            await Inventory.updateAverageCost({ ...removed, moves: [outMove], session });
+            await Inventory.updateAverageCost({ ...added, moves: [inMove], session });
         }
 
         await session.commitTransaction();
@@ -266,6 +309,7 @@ const updatePurchase = async (req, res) => {
                 select: 'name type code purchasePrice salePrice'
             })
             .populate('color', 'name hexCode codeName')
+            .populate('supplier', 'name phone')
             .populate('createdBy', 'name email');
 
         res.json({
@@ -277,9 +321,9 @@ const updatePurchase = async (req, res) => {
     } catch (error) {
         await session.abortTransaction();
         console.error('Update purchase error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Error updating purchase',
+            message: error.statusCode ? error.message : 'Error updating purchase',
             error: error.message
         });
     } finally {
@@ -314,25 +358,76 @@ const deletePurchase = async (req, res) => {
                 });
             }
 
+            if (purchase.goodsReceipt) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Purchase was booked from a goods receipt and cannot be deleted'
+                });
+            }
+
+            if (purchase.returnedQuantity > 0) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Goods from this purchase were returned to the supplier. Delete the returns first'
+                });
+            }
+
+            // Sales or write-offs costed from this purchase's layer would restore into a layer that is gone
+            const layer = await CostLayer.findOne({ purchase: purchase._id }).session(session);
+            if (layer && layer.remainingQuantity < layer.receivedQuantity) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Goods from this purchase were already sold or written off, so it cannot be deleted'
+                });
+            }
+
+            if (await SupplierPayment.exists({ 'allocations.purchase': purchase._id }).session(session)) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Supplier payments were made against this purchase. Delete them first'
+                });
+            }
+
+            // Take the unpaid bill off the supplier's payable balance
+            if (purchase.balanceDue > 0) {
+                await Ledger.postEntry({
+                    contact: purchase.supplier,
+                    transactionType: 'receivable',
+                    amount: purchase.balanceDue,
+                    description: `Purchase ${purchase.purchaseNumber} deleted`,
+                    reference: purchase.purchaseNumber,
+                    session
+                });
+            }
+
             // DECREASE INVENTORY BEFORE DELETING PURCHASE
             const inventoryFilter = {
                 product: purchase.product,
                 color: purchase.color || null
             };
 
-            await Inventory.findOneAndUpdate(
-                inventoryFilter,
-                { 
-                    $inc: { quantity: -purchase.quantity }, 
-                    $set: { 
-                        lastUpdated: new Date(),
-                        updatedBy: req.user.id
-                    }
-                },
-                { session }
-            );
+            await Inventory.adjustStock({
+                ...inventoryFilter,
+                quantity: -purchase.quantity,
+                userId: req.user.id,
+                session,
+                type: 'purchase',
+                reference: { model: 'Purchase', id: purchase._id, number: purchase.purchaseNumber },
+                note: 'Purchase deleted'
+            });
 
-            // DELETE THE PURCHASE
+            await Inventory.updateAverageCost({
+                ...inventoryFilter,
+                moves: [{ quantity: -purchase.quantity, unitCost: unitCostOf(purchase) }],
+                session
+            });
+
+            // DELETE THE PURCHASE and its (untouched) cost layer
+            await CostLayer.deleteOne({ purchase: purchase._id }, { session });
             await Purchase.findByIdAndDelete(req.params.id, { session });
 
             await session.commitTransaction();
@@ -358,9 +453,9 @@ const deletePurchase = async (req, res) => {
             }
             
             console.error('Delete purchase error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Error deleting purchase',
+                message: error.statusCode ? error.message : 'Error deleting purchase',
                 error: attempt === retries 
                     ? 'Failed after multiple retries. Please try again.' 
                     : error.message
@@ -374,6 +469,199 @@ const deletePurchase = async (req, res) => {
     }
 };
 
+// Accepted CSV headers (lowercased) for each purchase column
+const CSV_COLUMNS = {
+    code: ['code', 'product code', 'productcode', 'sku'],
+    product: ['product', 'product name', 'productname', 'name'],
+    color: ['color', 'color code', 'colorcode', 'codename'],
+    quantity: ['quantity', 'qty'],
+    unitPrice: ['unit price', 'unitprice', 'price'],
+    supplier: ['supplier', 'supplier name'],
+    taxRate: ['tax rate', 'taxrate', 'tax']
+};
+
+const csvValue = (data, column) => {
+    const header = CSV_COLUMNS[column].find(name => data[name] !== undefined && data[name].trim() !== '');
+    return header ? data[header].trim() : '';
+};
+
+// @desc    Upload purchases (e.g. a distributor delivery note) from CSV.
+//          Every row is validated first; all rows are then booked in one transaction.
+// @route   POST /api/purchases/upload-csv
+// @access  Private
+const uploadPurchasesFromCSV = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No CSV file uploaded'
+            });
+        }
+
+        // Supplier for rows that do not name one, and the bill's date / due date
+        const { supplier: defaultSupplier, date, dueDate } = req.body;
+
+        const rows = [];
+        let rowCount = 0;
+        const bufferStream = new stream.PassThrough();
+        bufferStream.end(req.file.buffer);
+
+        await new Promise((resolve, reject) => {
+            bufferStream
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+                .on('data', (data) => {
+                    rowCount++;
+                    rows.push({ row: rowCount, data });
+                })
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        // Load lookups once: products by code and name, colors by code, suppliers by name
+        const [products, colors, suppliers] = await Promise.all([
+            Product.find({ isActive: true }).select('name code'),
+            Color.find({ isActive: true }).select('codeName'),
+            Contact.find({ type: 'supplier', isActive: true }).select('name')
+        ]);
+        const productsByCode = new Map(products.filter(p => p.code).map(p => [p.code.trim().toUpperCase(), p]));
+        const productsByName = new Map(products.map(p => [p.name.trim().toLowerCase(), p]));
+        const colorsByCode = new Map(colors.filter(c => c.codeName).map(c => [c.codeName.trim().toUpperCase(), c]));
+        const suppliersByName = new Map(suppliers.map(c => [c.name.trim().toLowerCase(), c]));
+        const suppliersById = new Map(suppliers.map(c => [c._id.toString(), c]));
+
+        const findSupplier = (value) => suppliersById.get(value) || suppliersByName.get(value.toLowerCase());
+
+        const errors = [];
+        const lines = [];
+
+        for (const { row, data } of rows) {
+            const code = csvValue(data, 'code');
+            const productName = csvValue(data, 'product');
+            const colorCode = csvValue(data, 'color');
+            const supplierValue = csvValue(data, 'supplier') || (defaultSupplier || '').trim();
+
+            // Skip empty rows
+            if (!code && !productName && !csvValue(data, 'quantity')) continue;
+
+            const problems = [];
+
+            const product = (code && productsByCode.get(code.toUpperCase())) ||
+                (productName && productsByName.get(productName.toLowerCase()));
+            if (!code && !productName) {
+                problems.push('Missing product code or name');
+            } else if (!product) {
+                problems.push(`Product not found: ${code || productName}`);
+            }
+
+            const color = colorCode ? colorsByCode.get(colorCode.toUpperCase()) : null;
+            if (colorCode && !color) {
+                problems.push(`Color not found: ${colorCode}`);
+            }
+
+            const quantity = parseFloat(csvValue(data, 'quantity').replace(/,/g, ''));
+            if (!(quantity >= 1)) {
+                problems.push(`Invalid quantity (at least 1): ${csvValue(data, 'quantity') || '(empty)'}`);
+            }
+
+            const unitPrice = parseFloat(csvValue(data, 'unitPrice').replace(/,/g, ''));
+            if (!(unitPrice >= 0)) {
+                problems.push(`Invalid unit price: ${csvValue(data, 'unitPrice') || '(empty)'}`);
+            }
+
+            const supplier = supplierValue ? findSupplier(supplierValue) : null;
+            if (!supplierValue) {
+                problems.push('Missing supplier');
+            } else if (!supplier) {
+                problems.push(`Supplier not found: ${supplierValue}`);
+            }
+
+            let taxRate;
+            try {
+                taxRate = parseTaxRate(csvValue(data, 'taxRate'));
+            } catch (error) {
+                problems.push(error.message);
+            }
+
+            if (problems.length > 0) {
+                errors.push({ row, error: problems.join('; '), data });
+                continue;
+            }
+
+            lines.push({ row, product: product._id, color: color ? color._id : null, supplier: supplier._id, quantity, unitPrice, taxRate });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `CSV validation failed - ${errors.length} error(s) found`,
+                errors: errors.slice(0, 10),
+                totalErrors: errors.length
+            });
+        }
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid purchase data found in CSV file'
+            });
+        }
+
+        let purchases = [];
+        await session.withTransaction(async () => {
+            purchases = [];
+            for (const line of lines) {
+                try {
+                    purchases.push(await recordPurchase({
+                        product: line.product,
+                        color: line.color,
+                        supplier: line.supplier,
+                        quantity: line.quantity,
+                        unitPrice: line.unitPrice,
+                        taxRate: line.taxRate,
+                        date,
+                        dueDate,
+                        userId: req.user.id,
+                        session
+                    }));
+                } catch (error) {
+                    if (error.statusCode) {
+                        throw httpError(error.statusCode, `Row ${line.row}: ${error.message}`);
+                    }
+                    throw error;
+                }
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${purchases.length} purchase(s) imported and inventory updated`,
+            count: purchases.length,
+            totalAmount: parseFloat(purchases.reduce((sum, purchase) => sum + purchase.totalAmount, 0).toFixed(2)),
+            data: purchases.map(purchase => ({
+                _id: purchase._id,
+                purchaseNumber: purchase.purchaseNumber,
+                product: purchase.product,
+                color: purchase.color,
+                supplierName: purchase.supplierName,
+                quantity: purchase.quantity,
+                unitPrice: purchase.unitPrice,
+                totalAmount: purchase.totalAmount
+            }))
+        });
+    } catch (error) {
+        console.error('Upload purchases CSV error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error importing purchases',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
 // @desc    Get purchase statistics
 // @route   GET /api/purchases/stats
 // @access  Private
@@ -430,5 +718,6 @@ module.exports = {
     createPurchase,
     updatePurchase,
     deletePurchase,
+    uploadPurchasesFromCSV,
     getPurchaseStats
 };
\ No newline at end of file
@@ -0,0 +1,711 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const GoodsReceipt = require('../models/goodsReceipt.model');
+const Product = require('../models/product.model');
+const Color = require('../models/color.model');
+const Counter = require('../models/counter.model');
+const Purchase = require('../models/purchase.model');
+const Inventory = require('../models/inventory.model');
+const CostLayer = require('../models/costLayer.model');
+const {
+    resolveSupplier,
+    recordPurchase,
+    unitCostOf,
+    parseCharges,
+    allocateCharges,
+    lastSupplierPrices
+} = require('../utils/purchase');
+const { buildReorderSuggestions } = require('../utils/reorder');
+const httpError = require('../utils/httpError');
+
+// Orders that are with the supplier and can still be received against
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Validate order lines; unitPrice defaults to the product's latest purchase price
+const prepareOrderItems = async (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'Please provide at least one order item');
+    }
+
+    const lastPrices = await lastSupplierPrices(items.map(item => item.product).filter(id => mongoose.isValidObjectId(id)));
+
+    const prepared = [];
+    for (let i = 0; i < items.length; i++) {
+        const { product, color, quantity, unitPrice } = items[i];
+
+        if (!product || !quantity) {
+            throw httpError(400, `Item ${i + 1}: please provide product and quantity`);
+        }
+
+        const productDoc = await Product.findById(product);
+        if (!productDoc || !productDoc.isActive) {
+            throw httpError(404, `Item ${i + 1}: product not found`);
+        }
+
+        if (color) {
+            const colorExists = await Color.exists({ _id: color });
+            if (!colorExists) {
+                throw httpError(400, `Item ${i + 1}: color not found`);
+            }
+        }
+
+        const item = {
+            product: productDoc._id,
+            color: color || null,
+            quantity: parseFloat(quantity),
+            unitPrice: unitPrice !== undefined && unitPrice !== ''
+                ? parseFloat(unitPrice)
+                : (lastPrices.get(productDoc._id.toString()) ?? productDoc.purchasePrice)
+        };
+
+        if (!(item.unitPrice >= 0)) {
+            throw httpError(400, `Item ${i + 1}: unitPrice must be a positive number`);
+        }
+        // Whole units, like receipts, so no remainder below 1 is left unreceivable
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw httpError(400, `Item ${i + 1}: quantity must be a whole number of at least 1`);
+        }
+
+        prepared.push(item);
+    }
+    return prepared;
+};
+
+const parseDate = (value, label) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `Invalid ${label}. Use YYYY-MM-DD`);
+    }
+    return date;
+};
+
+const populateOrder = (query) => query
+    .populate('items.product', 'name type code purchasePrice')
+    .populate('items.color', 'name codeName hexCode')
+    .populate('supplier', 'name phone')
+    .populate('createdBy', 'name email');
+
+// @desc    Get purchase orders with filters
+// @route   GET /api/purchase-orders
+// @access  Private
+const getPurchaseOrders = async (req, res) => {
+    try {
+        const { startDate, endDate, status, supplier, search, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+
+        if (startDate || endDate) {
+            filter.date = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                filter.date.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                filter.date.$lte = end;
+            }
+        }
+
+        if (status && status !== 'all') {
+            filter.status = status;
+        }
+
+        if (supplier) {
+            filter.supplier = supplier;
+        }
+
+        if (search) {
+            filter.$or = [
+                { orderNumber: { $regex: search, $options: 'i' } },
+                { supplierName: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const skip = (pageNum - 1) * limitNum;
+
+        const [orders, total] = await Promise.all([
+            populateOrder(PurchaseOrder.find(filter))
+                .sort({ date: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            PurchaseOrder.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: orders.length,
+            total,
+            currentPage: pageNum,
+            totalPages: Math.ceil(total / limitNum),
+            data: orders
+        });
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching purchase orders',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Short deliveries: open order lines with quantity still to come
+// @route   GET /api/purchase-orders/outstanding
+// @access  Private
+const getOutstandingOrders = async (req, res) => {
+    try {
+        const { supplier } = req.query;
+
+        const filter = { status: { $in: RECEIVABLE_STATUSES } };
+        if (supplier) {
+            filter.supplier = supplier;
+        }
+
+        const orders = await populateOrder(PurchaseOrder.find(filter)).sort({ expectedDate: 1, date: 1 });
+        const now = new Date();
+
+        const data = orders.map(order => {
+            const items = order.items
+                .filter(item => item.receivedQuantity < item.quantity)
+                .map(item => ({
+                    _id: item._id,
+                    product: item.product,
+                    color: item.color,
+                    quantity: item.quantity,
+                    receivedQuantity: item.receivedQuantity,
+                    outstandingQuantity: item.quantity - item.receivedQuantity,
+                    outstandingAmount: parseFloat(((item.quantity - item.receivedQuantity) * item.unitPrice).toFixed(2))
+                }));
+
+            return {
+                _id: order._id,
+                orderNumber: order.orderNumber,
+                supplier: order.supplier,
+                supplierName: order.supplierName,
+                date: order.date,
+                expectedDate: order.expectedDate,
+                status: order.status,
+                overdue: Boolean(order.expectedDate && order.expectedDate < now),
+                outstandingAmount: parseFloat(items.reduce((sum, item) => sum + item.outstandingAmount, 0).toFixed(2)),
+                items
+            };
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            totalOutstanding: parseFloat(data.reduce((sum, order) => sum + order.outstandingAmount, 0).toFixed(2)),
+            data
+        });
+    } catch (error) {
+        console.error('Get outstanding purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching outstanding purchase orders',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get single purchase order with its goods receipts
+// @route   GET /api/purchase-orders/:id
+// @access  Private
+const getPurchaseOrder = async (req, res) => {
+    try {
+        const order = await populateOrder(PurchaseOrder.findById(req.params.id))
+            .populate({
+                path: 'receipts',
+                populate: [
+                    { path: 'items.product', select: 'name type code' },
+                    { path: 'items.color', select: 'name codeName hexCode' },
+                    { path: 'items.purchase', select: 'purchaseNumber totalAmount' },
+                    { path: 'receivedBy', select: 'name email' }
+                ]
+            });
+        if (!order) {
+            throw httpError(404, 'Purchase order not found');
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error fetching purchase order',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Create purchase order (no stock moves until goods are received)
+// @route   POST /api/purchase-orders
+// @access  Private
+const createPurchaseOrder = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { supplier, items, date, expectedDate, notes } = req.body;
+
+        const supplierDoc = await resolveSupplier(supplier);
+        const orderDate = date ? parseDate(date, 'date') : new Date();
+        const orderExpectedDate = expectedDate ? parseDate(expectedDate, 'expected date') : undefined;
+        const orderItems = await prepareOrderItems(items);
+
+        // Number and order together, so a failed insert leaves no gap in the series
+        let order;
+        await session.withTransaction(async () => {
+            [order] = await PurchaseOrder.create([{
+                orderNumber: await Counter.nextNumber('purchase_order', orderDate, session),
+                date: orderDate,
+                supplier: supplierDoc._id,
+                supplierName: supplierDoc.name,
+                expectedDate: orderExpectedDate,
+                items: orderItems,
+                notes,
+                createdBy: req.user.id
+            }], { session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Purchase order created successfully',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error creating purchase order',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Turn reorder suggestions into one draft purchase order per supplier.
+//          Body: { suppliers: [ids] } to limit it to some suppliers (default: all).
+//          Items without a known supplier are returned as skipped.
+// @route   POST /api/purchase-orders/from-suggestions
+// @access  Private
+const createOrdersFromSuggestions = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { suppliers, notes } = req.body;
+        if (suppliers !== undefined && !Array.isArray(suppliers)) {
+            throw httpError(400, 'suppliers must be an array of supplier ids');
+        }
+        const wanted = suppliers ? new Set(suppliers.map(String)) : null;
+
+        const groups = await buildReorderSuggestions();
+        const skipped = groups.filter(group => !group.supplier).flatMap(group => group.items);
+        const ordering = groups.filter(group => group.supplier && (!wanted || wanted.has(group.supplier._id.toString())));
+
+        if (ordering.length === 0) {
+            throw httpError(400, 'Nothing to order: no reorder suggestions for these suppliers');
+        }
+
+        let orders = [];
+        await session.withTransaction(async () => {
+            orders = [];
+            const orderDate = new Date();
+            for (const group of ordering) {
+                const expectedDate = new Date(orderDate);
+                expectedDate.setDate(expectedDate.getDate() + group.leadTimeDays);
+
+                const [order] = await PurchaseOrder.create([{
+                    orderNumber: await Counter.nextNumber('purchase_order', orderDate, session),
+                    date: orderDate,
+                    supplier: group.supplier._id,
+                    supplierName: group.supplier.name,
+                    expectedDate,
+                    items: group.items.map(item => ({
+                        product: item.product._id,
+                        color: item.color ? item.color._id : null,
+                        quantity: item.suggestedQuantity,
+                        unitPrice: item.unitPrice
+                    })),
+                    notes: notes || 'Generated from reorder suggestions',
+                    createdBy: req.user.id
+                }], { session });
+                orders.push(order);
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${orders.length} draft purchase order(s) created`,
+            count: orders.length,
+            data: await populateOrder(PurchaseOrder.find({ _id: { $in: orders.map(order => order._id) } })),
+            skipped
+        });
+    } catch (error) {
+        console.error('Create purchase orders from suggestions error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error creating purchase orders',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Update purchase order before anything is received
+// @route   PUT /api/purchase-orders/:id
+// @access  Private
+const updatePurchaseOrder = async (req, res) => {
+    try {
+        const { supplier, items, date, expectedDate, notes } = req.body;
+
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            throw httpError(404, 'Purchase order not found');
+        }
+        if (!['draft', 'sent'].includes(order.status)) {
+            throw httpError(400, `A ${order.status.replace('_', ' ')} purchase order cannot be edited`);
+        }
+
+        if (supplier !== undefined) {
+            const supplierDoc = await resolveSupplier(supplier);
+            order.supplier = supplierDoc._id;
+            order.supplierName = supplierDoc.name;
+        }
+        if (date !== undefined) {
+            order.date = parseDate(date, 'date');
+        }
+        if (expectedDate !== undefined) {
+            order.expectedDate = expectedDate ? parseDate(expectedDate, 'expected date') : undefined;
+        }
+        if (items !== undefined) {
+            order.items = await prepareOrderItems(items);
+        }
+        if (notes !== undefined) {
+            order.notes = notes;
+        }
+
+        await order.save();
+
+        res.json({
+            success: true,
+            message: 'Purchase order updated successfully',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Update purchase order error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error updating purchase order',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Mark purchase order as sent, back to draft, or cancel what is still to come
+// @route   PUT /api/purchase-orders/:id/status
+// @access  Private
+const updatePurchaseOrderStatus = async (req, res) => {
+    try {
+        const { status } = req.body;
+        const allowed = ['draft', 'sent', 'cancelled'];
+
+        if (!allowed.includes(status)) {
+            throw httpError(400, `Status must be one of: ${allowed.join(', ')}. Receiving status is set by goods receipts`);
+        }
+
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            throw httpError(404, 'Purchase order not found');
+        }
+
+        // Once goods arrived the order can only be closed; received stock stays booked
+        const from = {
+            draft: ['draft', 'sent'],
+            sent: ['draft', 'sent'],
+            cancelled: ['draft', 'sent', 'partially_received']
+        };
+        if (!from[status].includes(order.status)) {
+            throw httpError(400, `A ${order.status.replace('_', ' ')} purchase order cannot be marked as ${status}`);
+        }
+
+        order.status = status;
+        await order.save();
+
+        res.json({
+            success: true,
+            message: `Purchase order marked as ${status}`,
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Update purchase order status error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error updating purchase order status',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Receive goods against a purchase order: books a purchase (on credit) and stock per line
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private
+const receivePurchaseOrder = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { items, date, dueDate, reference, notes, charges, allocationMethod = 'value' } = req.body;
+        let receipt;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw httpError(400, 'Please provide the received items');
+        }
+
+        const receiptDate = date ? parseDate(date, 'date') : new Date();
+
+        await session.withTransaction(async () => {
+            const order = await PurchaseOrder.findById(req.params.id).session(session);
+            if (!order) {
+                throw httpError(404, 'Purchase order not found');
+            }
+            if (!RECEIVABLE_STATUSES.includes(order.status)) {
+                throw httpError(400, `Goods cannot be received against a ${order.status} purchase order`);
+            }
+
+            const lines = [];
+            for (let i = 0; i < items.length; i++) {
+                const { orderItem, quantity, unitPrice } = items[i];
+                const line = order.items.id(orderItem);
+                if (!line) {
+                    throw httpError(400, `Item ${i + 1}: line is not on this purchase order`);
+                }
+
+                const qty = parseFloat(quantity);
+                // Each receipt line is booked as a purchase, which needs at least 1;
+                // order lines are whole units, so receipts are too
+                if (!Number.isInteger(qty) || qty < 1) {
+                    throw httpError(400, `Item ${i + 1}: quantity must be a whole number of at least 1`);
+                }
+
+                const outstanding = line.quantity - line.receivedQuantity;
+                if (qty > outstanding) {
+                    throw httpError(400, `Item ${i + 1}: only ${outstanding} left to receive on this line`);
+                }
+
+                // Bill price can differ from the ordered price
+                const price = unitPrice !== undefined && unitPrice !== '' ? parseFloat(unitPrice) : line.unitPrice;
+                if (!(price >= 0)) {
+                    throw httpError(400, `Item ${i + 1}: unitPrice must be a positive number`);
+                }
+
+                line.receivedQuantity += qty;
+                lines.push({
+                    orderItem: line._id,
+                    product: line.product,
+                    color: line.color,
+                    quantity: qty,
+                    unitPrice: price
+                });
+            }
+
+            // Delivery charges raise the cost of the received lines
+            const receiptCharges = parseCharges(charges);
+            const shares = allocateCharges(lines, receiptCharges.reduce((sum, charge) => sum + charge.amount, 0), allocationMethod);
+            lines.forEach((line, i) => { line.landedCost = shares[i]; });
+
+            [receipt] = await GoodsReceipt.create([{
+                receiptNumber: await Counter.nextNumber('goods_receipt', receiptDate, session),
+                purchaseOrder: order._id,
+                supplier: order.supplier,
+                date: receiptDate,
+                reference,
+                items: lines,
+                charges: receiptCharges,
+                allocationMethod,
+                notes,
+                receivedBy: req.user.id
+            }], { session });
+
+            for (const line of receipt.items) {
+                const purchase = await recordPurchase({
+                    product: line.product,
+                    color: line.color,
+                    supplier: order.supplier,
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    date: receiptDate,
+                    dueDate,
+                    landedCost: line.landedCost,
+                    purchaseOrder: order._id,
+                    goodsReceipt: receipt._id,
+                    userId: req.user.id,
+                    session
+                });
+                line.purchase = purchase._id;
+            }
+            await receipt.save({ session });
+
+            order.updateReceiptStatus();
+            await order.save({ session });
+        });
+
+        const populatedReceipt = await GoodsReceipt.findById(receipt._id)
+            .populate('purchaseOrder', 'orderNumber status')
+            .populate('items.product', 'name type code')
+            .populate('items.color', 'name codeName hexCode')
+            .populate('items.purchase', 'purchaseNumber totalAmount landedCost effectiveUnitCost')
+            .populate('receivedBy', 'name email');
+
+        res.status(201).json({
+            success: true,
+            message: 'Goods received and stock updated',
+            data: populatedReceipt
+        });
+    } catch (error) {
+        console.error('Receive purchase order error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error receiving goods',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Replace the charges of a goods receipt (e.g. the freight bill came later)
+//          and re-allocate them. Stock still on hand is revalued; goods already
+//          sold keep the cost they were sold at.
+// @route   PUT /api/purchase-orders/receipts/:receiptId/charges
+// @access  Private
+const updateReceiptCharges = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { charges, allocationMethod } = req.body;
+
+        await session.withTransaction(async () => {
+            const receipt = await GoodsReceipt.findById(req.params.receiptId).session(session);
+            if (!receipt) {
+                throw httpError(404, 'Goods receipt not found');
+            }
+
+            receipt.charges = parseCharges(charges);
+            if (allocationMethod !== undefined) receipt.allocationMethod = allocationMethod;
+            const shares = allocateCharges(
+                receipt.items,
+                receipt.charges.reduce((sum, charge) => sum + charge.amount, 0),
+                receipt.allocationMethod
+            );
+
+            for (let i = 0; i < receipt.items.length; i++) {
+                const line = receipt.items[i];
+                line.landedCost = shares[i];
+
+                const purchase = line.purchase ? await Purchase.findById(line.purchase).session(session) : null;
+                if (!purchase) continue;
+
+                const oldCost = unitCostOf(purchase);
+                purchase.landedCost = shares[i];
+                await purchase.save({ session });
+                const newCost = unitCostOf(purchase);
+
+                const layer = await CostLayer.findOne({ purchase: purchase._id }).session(session);
+                if (layer) {
+                    layer.unitCost = newCost;
+                    await layer.save({ session });
+
+                    // Only what is left of this purchase carries the change
+                    if (layer.remainingQuantity > 0 && newCost !== oldCost) {
+                        await Inventory.updateAverageCost({
+                            product: purchase.product,
+                            color: purchase.color || null,
+                            moves: [
+                                { quantity: -layer.remainingQuantity, unitCost: oldCost },
+                                { quantity: layer.remainingQuantity, unitCost: newCost }
+                            ],
+                            session
+                        });
+                    }
+                }
+
+                await Product.updateOne({ _id: purchase.product }, { purchasePrice: purchase.effectiveUnitCost }, { session });
+            }
+
+            await receipt.save({ session });
+        });
+
+        const populatedReceipt = await GoodsReceipt.findById(req.params.receiptId)
+            .populate('purchaseOrder', 'orderNumber status')
+            .populate('items.product', 'name type code')
+            .populate('items.color', 'name codeName hexCode')
+            .populate('items.purchase', 'purchaseNumber totalAmount landedCost effectiveUnitCost')
+            .populate('receivedBy', 'name email');
+
+        res.json({
+            success: true,
+            message: 'Receipt charges updated and allocated',
+            data: populatedReceipt
+        });
+    } catch (error) {
+        console.error('Update receipt charges error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error updating receipt charges',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Delete purchase order that has not been received against
+// @route   DELETE /api/purchase-orders/:id
+// @access  Private
+const deletePurchaseOrder = async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            throw httpError(404, 'Purchase order not found');
+        }
+
+        const received = await GoodsReceipt.exists({ purchaseOrder: order._id });
+        if (received) {
+            throw httpError(400, 'Goods were received against this purchase order. Cancel it instead');
+        }
+
+        await order.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Purchase order deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete purchase order error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error deleting purchase order',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getPurchaseOrders,
+    getOutstandingOrders,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    createOrdersFromSuggestions,
+    updatePurchaseOrder,
+    updatePurchaseOrderStatus,
+    receivePurchaseOrder,
+    updateReceiptCharges,
+    deletePurchaseOrder
+};
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const PurchaseReturn = require('../models/purchaseReturn.model');
+const Purchase = require('../models/purchase.model');
+const Inventory = require('../models/inventory.model');
+const CostLayer = require('../models/costLayer.model');
+const Ledger = require('../models/ledger.model');
+const Counter = require('../models/counter.model');
+const { splitTax } = require('../utils/tax');
+const { unitCostOf } = require('../utils/purchase');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Cost per unit the goods go back at: what they came in at (the purchase's cost
+// layer, landed charges included), or the bill price before tax if the purchase is gone.
+// The supplier is still debited at the bill price.
+const returnUnitCost = (purchaseReturn, purchase) => (purchase
+    ? unitCostOf(purchase)
+    : parseFloat(((purchaseReturn.totalAmount - purchaseReturn.taxAmount) / purchaseReturn.quantity).toFixed(4)));
+
+const populateReturn = (query) => query
+    .populate('purchase', 'purchaseNumber date quantity returnedQuantity totalAmount balanceDue')
+    .populate('supplier', 'name phone balance')
+    .populate('product', 'name type code')
+    .populate('color', 'name codeName hexCode')
+    .populate('createdBy', 'name email');
+
+// @desc    Get purchase returns with filters
+// @route   GET /api/purchase-returns
+// @access  Private
+const getPurchaseReturns = async (req, res) => {
+    try {
+        const { startDate, endDate, supplier, product, purchase, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+
+        if (startDate || endDate) {
+            filter.date = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                filter.date.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                filter.date.$lte = end;
+            }
+        }
+
+        if (supplier) filter.supplier = supplier;
+        if (product) filter.product = product;
+        if (purchase) filter.purchase = purchase;
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const skip = (pageNum - 1) * limitNum;
+
+        const [returns, total] = await Promise.all([
+            populateReturn(PurchaseReturn.find(filter))
+                .sort({ date: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            PurchaseReturn.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: returns.length,
+            total,
+            currentPage: pageNum,
+            totalPages: Math.ceil(total / limitNum),
+            data: returns
+        });
+    } catch (error) {
+        console.error('Get purchase returns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching purchase returns',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get single purchase return
+// @route   GET /api/purchase-returns/:id
+// @access  Private
+const getPurchaseReturn = async (req, res) => {
+    try {
+        const purchaseReturn = await populateReturn(PurchaseReturn.findById(req.params.id));
+        if (!purchaseReturn) {
+            throw httpError(404, 'Purchase return not found');
+        }
+
+        res.json({
+            success: true,
+            data: purchaseReturn
+        });
+    } catch (error) {
+        console.error('Get purchase return error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error fetching purchase return',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Return goods from a purchase to the supplier (debit note)
+// @route   POST /api/purchase-returns
+// @access  Private
+const createPurchaseReturn = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { purchase: purchaseId, quantity, reason, notes, date } = req.body;
+        let purchaseReturn;
+
+        const qty = parseFloat(quantity);
+        if (!purchaseId || !(qty > 0)) {
+            throw httpError(400, 'Please provide the purchase and a positive quantity to return');
+        }
+
+        const returnDate = date ? new Date(date) : new Date();
+        if (isNaN(returnDate.getTime())) {
+            throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+        }
+
+        await session.withTransaction(async () => {
+            const purchase = await Purchase.findById(purchaseId).session(session);
+            if (!purchase) {
+                throw httpError(404, 'Purchase not found');
+            }
+
+            const returnable = purchase.quantity - purchase.returnedQuantity;
+            if (qty > returnable) {
+                throw httpError(400, `Only ${returnable} of purchase ${purchase.purchaseNumber} can still be returned`);
+            }
+
+            // Priced as on the bill, including its tax treatment
+            const { taxAmount, totalAmount } = splitTax(qty * purchase.unitPrice, purchase.taxRate, purchase.taxInclusive);
+
+            // Goods go back out of this purchase's own cost layer as far as it still holds them
+            const layer = await CostLayer.findOne({ purchase: purchase._id }).session(session);
+            const costLayers = await CostLayer.reconsume({
+                product: purchase.product,
+                color: purchase.color || null,
+                parts: [{ layer: layer ? layer._id : null, quantity: qty, unitCost: layer ? layer.unitCost : 0 }],
+                session
+            });
+
+            [purchaseReturn] = await PurchaseReturn.create([{
+                returnNumber: await Counter.nextNumber('purchase_return', returnDate, session),
+                date: returnDate,
+                purchase: purchase._id,
+                supplier: purchase.supplier,
+                supplierName: purchase.supplierName,
+                product: purchase.product,
+                color: purchase.color || null,
+                quantity: qty,
+                unitPrice: purchase.unitPrice,
+                taxRate: purchase.taxRate,
+                taxInclusive: purchase.taxInclusive,
+                taxAmount,
+                totalAmount,
+                costLayers,
+                reason,
+                notes,
+                createdBy: req.user.id
+            }], { session });
+
+            await Inventory.adjustStock({
+                product: purchase.product,
+                color: purchase.color || null,
+                quantity: -qty,
+                userId: req.user.id,
+                session,
+                type: 'purchase_return',
+                reference: { model: 'PurchaseReturn', id: purchaseReturn._id, number: purchaseReturn.returnNumber },
+                note: `Returned to ${purchase.supplierName}`
+            });
+            await Inventory.updateAverageCost({
+                product: purchase.product,
+                color: purchase.color || null,
+                moves: [{ quantity: -qty, unitCost: returnUnitCost(purchaseReturn, purchase) }],
+                session
+            });
+
+            purchase.returnedQuantity += qty;
+            purchase.returnedAmount = round2(purchase.returnedAmount + totalAmount);
+            purchase.updatePaymentStatus();
+            await purchase.save({ session });
+
+            if (totalAmount > 0) {
+                await Ledger.postEntry({
+                    contact: purchase.supplier,
+                    transactionType: 'receivable',
+                    amount: totalAmount,
+                    description: `Return ${purchaseReturn.returnNumber} against purchase ${purchase.purchaseNumber}`,
+                    reference: purchaseReturn.returnNumber,
+                    date: returnDate,
+                    session
+                });
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Purchase return recorded successfully',
+            data: await populateReturn(PurchaseReturn.findById(purchaseReturn._id))
+        });
+    } catch (error) {
+        console.error('Create purchase return error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error creating purchase return',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Delete purchase return: stock comes back and the supplier is debited again
+// @route   DELETE /api/purchase-returns/:id
+// @access  Private/Admin
+const deletePurchaseReturn = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        await session.withTransaction(async () => {
+            const purchaseReturn = await PurchaseReturn.findById(req.params.id).session(session);
+            if (!purchaseReturn) {
+                throw httpError(404, 'Purchase return not found');
+            }
+
+            await Inventory.adjustStock({
+                product: purchaseReturn.product,
+                color: purchaseReturn.color,
+                quantity: purchaseReturn.quantity,
+                userId: req.user.id,
+                session,
+                type: 'purchase_return',
+                reference: { model: 'PurchaseReturn', id: purchaseReturn._id, number: purchaseReturn.returnNumber },
+                note: 'Purchase return deleted'
+            });
+            const purchase = await Purchase.findById(purchaseReturn.purchase).session(session);
+            await Inventory.updateAverageCost({
+                product: purchaseReturn.product,
+                color: purchaseReturn.color,
+                moves: [{ quantity: purchaseReturn.quantity, unitCost: returnUnitCost(purchaseReturn, purchase) }],
+                session
+            });
+            await CostLayer.restore(purchaseReturn.costLayers, session);
+
+            if (purchase) {
+                purchase.returnedQuantity = Math.max(purchase.returnedQuantity - purchaseReturn.quantity, 0);
+                purchase.returnedAmount = round2(Math.max(purchase.returnedAmount - purchaseReturn.totalAmount, 0));
+                purchase.updatePaymentStatus();
+                await purchase.save({ session });
+            }
+
+            if (purchaseReturn.totalAmount > 0) {
+                await Ledger.postEntry({
+                    contact: purchaseReturn.supplier,
+                    transactionType: 'payable',
+                    amount: purchaseReturn.totalAmount,
+                    description: `Return ${purchaseReturn.returnNumber} deleted`,
+                    reference: purchaseReturn.returnNumber,
+                    session
+                });
+            }
+
+            await purchaseReturn.deleteOne({ session });
+        });
+
+        res.json({
+            success: true,
+            message: 'Purchase return deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete purchase return error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error deleting purchase return',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    getPurchaseReturns,
+    getPurchaseReturn,
+    createPurchaseReturn,
+    deletePurchaseReturn
+};
@@ -0,0 +1,463 @@
+const mongoose = require('mongoose');
+const Quotation = require('../models/quotation.model');
+const Invoice = require('../models/invoice.model');
+const Product = require('../models/product.model');
+const Contact = require('../models/contact.model');
+const Counter = require('../models/counter.model');
+const Setting = require('../models/setting.model');
+const shop = require('../config/shop');
+const { createSaleInvoice, populateInvoice } = require('../utils/saleInvoice');
+const { canOverridePrice, createPriceResolver } = require('../utils/pricing');
+const httpError = require('../utils/httpError');
+
+// Statuses that can still be edited, sent back and forth or converted
+const OPEN_STATUSES = ['draft', 'sent', 'accepted'];
+
+// Price quotation items like a sale: the customer's price list or the product's
+// sale price and discount, plus its tax rate. unitPrice/discount on an item
+// override the resolved price; for list-priced customers that needs permission.
+const priceItems = async (items, customer, allowPriceOverride) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Please provide at least one quotation item');
+  }
+
+  const priced = [];
+  const settings = await Setting.getSettings();
+  const priceFor = createPriceResolver(customer);
+
+  for (let i = 0; i < items.length; i++) {
+    const { product, color, quantity, unitPrice, discount } = items[i];
+
+    if (!product || !quantity) {
+      throw httpError(400, `Item ${i + 1}: please provide product and quantity`);
+    }
+
+    const productDoc = await Product.findById(product);
+    if (!productDoc || !productDoc.isActive) {
+      throw httpError(404, `Item ${i + 1}: product not found`);
+    }
+
+    const resolved = await priceFor(productDoc, parseFloat(quantity));
+    const priceGiven = unitPrice !== undefined && unitPrice !== null && unitPrice !== '';
+
+    const item = {
+      product: productDoc._id,
+      color: color || null,
+      quantity: parseFloat(quantity),
+      unitPrice: priceGiven ? parseFloat(unitPrice) : resolved.unitPrice,
+      discount: discount !== undefined && discount !== '' ? parseFloat(discount) : (priceGiven ? 0 : resolved.discount),
+      priceSource: resolved.priceSource,
+      taxRate: settings.taxRateFor(productDoc),
+      taxInclusive: settings.tax.mode === 'inclusive'
+    };
+
+    if (!(item.quantity > 0) || !(item.unitPrice >= 0)) {
+      throw httpError(400, `Item ${i + 1}: quantity and unitPrice must be positive numbers`);
+    }
+    if (!(item.discount >= 0 && item.discount <= 100)) {
+      throw httpError(400, `Item ${i + 1}: discount must be between 0 and 100`);
+    }
+
+    if (item.unitPrice !== resolved.unitPrice || item.discount !== resolved.discount) {
+      if (resolved.priceSource !== 'product' && !allowPriceOverride) {
+        throw httpError(403, `Item ${i + 1}: ${productDoc.name} is priced at ${resolved.unitPrice} for this customer. Changing it needs admin permission`);
+      }
+      item.priceSource = 'manual';
+    }
+
+    priced.push(item);
+  }
+  return priced;
+};
+
+// Validity runs to the end of the given day, or the default number of days from the quote date
+const resolveValidUntil = (validUntil, date) => {
+  const value = validUntil ? new Date(validUntil) : new Date(date);
+  if (isNaN(value.getTime())) {
+    throw httpError(400, 'Invalid validUntil date. Use YYYY-MM-DD');
+  }
+  if (!validUntil) {
+    value.setDate(value.getDate() + shop.quotationValidityDays);
+  }
+  value.setHours(23, 59, 59, 999);
+  return value;
+};
+
+const resolveCustomer = async (customer) => {
+  if (!customer) return null;
+
+  const contact = await Contact.findById(customer);
+  if (!contact || !contact.isActive) {
+    throw httpError(404, 'Customer not found');
+  }
+  if (contact.type !== 'customer') {
+    throw httpError(400, 'Selected contact is not a customer');
+  }
+  return contact;
+};
+
+const populateQuotation = (query) => query
+  .populate('items.product', 'name type code salePrice')
+  .populate('items.color', 'name codeName hexCode')
+  .populate('customer', 'name phone balance')
+  .populate('invoice', 'invoiceNumber date totalAmount')
+  .populate('createdBy', 'name email');
+
+// @desc    Get quotations with filters
+// @route   GET /api/quotations
+// @access  Private
+const getQuotations = async (req, res) => {
+  try {
+    const { startDate, endDate, status, customer, search, page = 1, limit = 20 } = req.query;
+
+    await Quotation.expireOverdue();
+
+    const filter = {};
+
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.date.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.date.$lte = end;
+      }
+    }
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (customer) {
+      filter.customer = customer;
+    }
+
+    if (search) {
+      filter.$or = [
+        { quotationNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [quotations, total] = await Promise.all([
+      populateQuotation(Quotation.find(filter))
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Quotation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: quotations.length,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      data: quotations
+    });
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quotations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single quotation
+// @route   GET /api/quotations/:id
+// @access  Private
+const getQuotation = async (req, res) => {
+  try {
+    await Quotation.expireOverdue();
+
+    const quotation = await populateQuotation(Quotation.findById(req.params.id));
+    if (!quotation) {
+      throw httpError(404, 'Quotation not found');
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching quotation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create quotation (priced from products, no stock is reserved)
+// @route   POST /api/quotations
+// @access  Private
+const createQuotation = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { items, discount = 0, date, validUntil, customer, customerName, notes } = req.body;
+    const quoteDate = date ? new Date(date) : new Date();
+
+    if (isNaN(quoteDate.getTime())) {
+      throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+    }
+
+    const customerDoc = await resolveCustomer(customer);
+    const pricedItems = await priceItems(items, customerDoc, canOverridePrice(req.user));
+
+    // Number and quotation together, so a failed save leaves no gap in the series
+    let quotation;
+    await session.withTransaction(async () => {
+      [quotation] = await Quotation.create([{
+        quotationNumber: await Counter.nextNumber('quotation', quoteDate, session),
+        date: quoteDate,
+        validUntil: resolveValidUntil(validUntil, quoteDate),
+        customer: customerDoc ? customerDoc._id : null,
+        customerName: customerDoc ? customerDoc.name : (customerName || undefined),
+        items: pricedItems,
+        discount: parseFloat(discount) || 0,
+        notes,
+        createdBy: req.user.id
+      }], { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation created successfully',
+      data: await populateQuotation(Quotation.findById(quotation._id))
+    });
+  } catch (error) {
+    console.error('Create quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating quotation',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Update quotation items, customer, discount or validity
+// @route   PUT /api/quotations/:id
+// @access  Private
+const updateQuotation = async (req, res) => {
+  try {
+    const { items, discount, date, validUntil, customer, customerName, notes } = req.body;
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      throw httpError(404, 'Quotation not found');
+    }
+    if (!OPEN_STATUSES.includes(quotation.status)) {
+      throw httpError(400, `A ${quotation.status} quotation cannot be edited`);
+    }
+
+    if (date !== undefined) {
+      const quoteDate = new Date(date);
+      if (isNaN(quoteDate.getTime())) {
+        throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+      }
+      quotation.date = quoteDate;
+    }
+    if (validUntil !== undefined) {
+      quotation.validUntil = resolveValidUntil(validUntil, quotation.date);
+      if (quotation.validUntil < new Date()) {
+        throw httpError(400, 'Validity date cannot be in the past');
+      }
+    }
+    if (customer !== undefined) {
+      const customerDoc = await resolveCustomer(customer);
+      quotation.customer = customerDoc ? customerDoc._id : null;
+      quotation.customerName = customerDoc ? customerDoc.name : (customerName || 'Walk-in Customer');
+    } else if (customerName !== undefined && !quotation.customer) {
+      quotation.customerName = customerName || 'Walk-in Customer';
+    }
+    // Re-price when the items or the customer change; typed-in prices are kept
+    if (items !== undefined || customer !== undefined) {
+      const source = items !== undefined
+        ? items
+        : quotation.items.map(({ product, color, quantity, unitPrice, discount, priceSource }) => (
+          priceSource === 'manual' ? { product, color, quantity, unitPrice, discount } : { product, color, quantity }
+        ));
+      const customerDoc = quotation.customer ? await Contact.findById(quotation.customer) : null;
+      quotation.items = await priceItems(source, customerDoc, canOverridePrice(req.user));
+    }
+    if (discount !== undefined) {
+      quotation.discount = parseFloat(discount) || 0;
+    }
+    if (notes !== undefined) {
+      quotation.notes = notes;
+    }
+
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation updated successfully',
+      data: await populateQuotation(Quotation.findById(quotation._id))
+    });
+  } catch (error) {
+    console.error('Update quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating quotation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark quotation as sent, accepted, rejected or back to draft
+// @route   PUT /api/quotations/:id/status
+// @access  Private
+const updateQuotationStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const allowed = ['draft', 'sent', 'accepted', 'rejected'];
+
+    if (!allowed.includes(status)) {
+      throw httpError(400, `Status must be one of: ${allowed.join(', ')}. Use the convert endpoint to create a sale`);
+    }
+
+    await Quotation.expireOverdue();
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      throw httpError(404, 'Quotation not found');
+    }
+    if (!OPEN_STATUSES.includes(quotation.status)) {
+      throw httpError(400, `A ${quotation.status} quotation cannot change status`);
+    }
+
+    quotation.status = status;
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: `Quotation marked as ${status}`,
+      data: await populateQuotation(Quotation.findById(quotation._id))
+    });
+  } catch (error) {
+    console.error('Update quotation status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating quotation status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Convert quotation into a sale invoice (deducts stock like a normal sale)
+// @route   POST /api/quotations/:id/convert
+// @access  Private
+const convertQuotation = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { date, payments, amountPaid, saleType, notes } = req.body;
+    let invoice;
+
+    await session.withTransaction(async () => {
+      const quotation = await Quotation.findById(req.params.id).session(session);
+      if (!quotation) {
+        throw httpError(404, 'Quotation not found');
+      }
+      if (!OPEN_STATUSES.includes(quotation.status)) {
+        throw httpError(400, `A ${quotation.status} quotation cannot be converted`);
+      }
+      if (quotation.validUntil < new Date()) {
+        throw httpError(400, `Quotation expired on ${quotation.validUntil.toLocaleDateString()}`);
+      }
+
+      invoice = await createSaleInvoice({
+        items: quotation.items.map(item => ({
+          product: item.product,
+          color: item.color,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          discount: item.discount
+        })),
+        discount: quotation.discount,
+        date,
+        customer: quotation.customer,
+        customerName: quotation.customerName,
+        payments,
+        amountPaid,
+        saleType,
+        notes: notes || `Quotation ${quotation.quotationNumber}`
+      }, req.user.id, session, { allowPriceOverride: true }); // prices were approved on the quotation
+
+      quotation.status = 'converted';
+      quotation.invoice = invoice._id;
+      quotation.convertedAt = new Date();
+      await quotation.save({ session });
+    });
+
+    const populatedInvoice = await populateInvoice(Invoice.findById(invoice._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation converted to sale successfully',
+      data: populatedInvoice
+    });
+  } catch (error) {
+    console.error('Convert quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error converting quotation',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Delete quotation (converted quotations are kept with their sale)
+// @route   DELETE /api/quotations/:id
+// @access  Private
+const deleteQuotation = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      throw httpError(404, 'Quotation not found');
+    }
+    if (quotation.status === 'converted') {
+      throw httpError(400, 'A converted quotation cannot be deleted');
+    }
+
+    await quotation.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Quotation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deleting quotation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getQuotations,
+  getQuotation,
+  createQuotation,
+  updateQuotation,
+  updateQuotationStatus,
+  convertQuotation,
+  deleteQuotation
+};
@@ -0,0 +1,256 @@
+const Sale = require('../models/sale.model');
+const Purchase = require('../models/purchase.model');
+const PurchaseReturn = require('../models/purchaseReturn.model');
+const Inventory = require('../models/inventory.model');
+const CostLayer = require('../models/costLayer.model');
+const Setting = require('../models/setting.model');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Report period from startDate/endDate (whole days); defaults to the current month
+const getPeriod = ({ startDate, endDate }) => {
+  const now = new Date();
+  const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = endDate ? new Date(endDate) : now;
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+  }
+
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+// Taxable amount and tax per rate; sign flips return lines to negative
+const taxByRate = (Model, start, end, sign = { $literal: 1 }) => Model.aggregate([
+  { $match: { date: { $gte: start, $lte: end } } },
+  {
+    $project: {
+      sign,
+      taxRate: { $ifNull: ['$taxRate', 0] },
+      taxAmount: { $ifNull: ['$taxAmount', 0] },
+      totalAmount: 1
+    }
+  },
+  {
+    $group: {
+      _id: '$taxRate',
+      taxableAmount: { $sum: { $multiply: [{ $subtract: ['$totalAmount', '$taxAmount'] }, '$sign'] } },
+      taxAmount: { $sum: { $multiply: ['$taxAmount', '$sign'] } },
+      lines: { $sum: 1 }
+    }
+  },
+  { $sort: { _id: 1 } }
+]);
+
+// Add up rows of the same rate coming from different collections
+const mergeRates = (...rowSets) => {
+  const byRate = new Map();
+  rowSets.flat().forEach(row => {
+    const current = byRate.get(row._id) || { _id: row._id, taxableAmount: 0, taxAmount: 0, lines: 0 };
+    current.taxableAmount += row.taxableAmount;
+    current.taxAmount += row.taxAmount;
+    current.lines += row.lines;
+    byRate.set(row._id, current);
+  });
+  return [...byRate.values()].sort((a, b) => a._id - b._id);
+};
+
+const summarize = (rows) => {
+  const byRate = rows.map(row => ({
+    rate: row._id,
+    taxableAmount: round2(row.taxableAmount),
+    taxAmount: round2(row.taxAmount),
+    lines: row.lines
+  }));
+
+  return {
+    byRate,
+    taxableAmount: round2(byRate.reduce((sum, row) => sum + row.taxableAmount, 0)),
+    taxAmount: round2(byRate.reduce((sum, row) => sum + row.taxAmount, 0))
+  };
+};
+
+// @desc    Sales tax report: output tax on sales vs input tax on purchases
+// @route   GET /api/reports/tax?startDate=2026-01-01&endDate=2026-01-31
+// @access  Private (admin, superadmin)
+const getTaxReport = async (req, res) => {
+  try {
+    const { start, end } = getPeriod(req.query);
+
+    const [outputRows, purchaseRows, returnRows] = await Promise.all([
+      taxByRate(Sale, start, end, { $cond: [{ $eq: ['$saleType', 'return'] }, -1, 1] }),
+      taxByRate(Purchase, start, end),
+      taxByRate(PurchaseReturn, start, end, { $literal: -1 })
+    ]);
+
+    const outputTax = summarize(outputRows);
+    // Goods returned to suppliers reverse the input tax claimed on them
+    const inputTax = summarize(mergeRates(purchaseRows, returnRows));
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start,
+        endDate: end,
+        outputTax,
+        inputTax,
+        // Positive = tax payable, negative = carried forward / refundable
+        netTax: round2(outputTax.taxAmount - inputTax.taxAmount)
+      }
+    });
+  } catch (error) {
+    console.error('Tax report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating tax report',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Gross profit: sales before tax less the cost of goods recorded on each line
+// @route   GET /api/reports/profit?startDate=2026-01-01&endDate=2026-01-31
+// @access  Private (admin, superadmin)
+const getProfitReport = async (req, res) => {
+  try {
+    const { start, end } = getPeriod(req.query);
+    const sign = { $cond: [{ $eq: ['$saleType', 'return'] }, -1, 1] };
+
+    const rows = await Sale.aggregate([
+      { $match: { date: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: '$product',
+          quantity: { $sum: { $multiply: ['$quantity', sign] } },
+          revenue: { $sum: { $multiply: [{ $subtract: ['$totalAmount', { $ifNull: ['$taxAmount', 0] }] }, sign] } },
+          costOfGoods: { $sum: { $multiply: [{ $ifNull: ['$costOfGoods', 0] }, sign] } },
+          // Lines recorded before cost of goods was kept
+          uncostedLines: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$costLayers', []] } }, 0] }, 0, 1] } }
+        }
+      },
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    const byProduct = rows.map(row => {
+      const grossProfit = round2(row.revenue - row.costOfGoods);
+      return {
+        product: row.product ? { _id: row.product._id, name: row.product.name, type: row.product.type, code: row.product.code } : { _id: row._id },
+        quantity: round2(row.quantity),
+        revenue: round2(row.revenue),
+        costOfGoods: round2(row.costOfGoods),
+        grossProfit,
+        margin: row.revenue ? round2(grossProfit / row.revenue * 100) : 0,
+        uncostedLines: row.uncostedLines
+      };
+    }).sort((a, b) => b.grossProfit - a.grossProfit);
+
+    const revenue = round2(byProduct.reduce((sum, row) => sum + row.revenue, 0));
+    const costOfGoods = round2(byProduct.reduce((sum, row) => sum + row.costOfGoods, 0));
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start,
+        endDate: end,
+        revenue,
+        costOfGoods,
+        grossProfit: round2(revenue - costOfGoods),
+        margin: revenue ? round2((revenue - costOfGoods) / revenue * 100) : 0,
+        byProduct
+      }
+    });
+  } catch (error) {
+    console.error('Profit report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating profit report',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stock on hand valued with the shop's costing method (or ?method=fifo|average)
+// @route   GET /api/reports/stock-valuation
+// @access  Private (admin, superadmin)
+const getStockValuation = async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+    const method = req.query.method || settings.costing.method;
+    if (!Setting.COSTING_METHODS.includes(method)) {
+      throw httpError(400, `Costing method must be one of ${Setting.COSTING_METHODS.join(', ')}`);
+    }
+
+    const rows = await Inventory.find({ quantity: { $gt: 0 } })
+      .populate('product', 'name type code purchasePrice')
+      .populate('color', 'name codeName hexCode');
+
+    // FIFO: what is left in the cost layers of each product + color
+    const layerValues = new Map();
+    if (method === 'fifo') {
+      const layers = await CostLayer.aggregate([
+        { $match: { remainingQuantity: { $gt: 0 } } },
+        {
+          $group: {
+            _id: { product: '$product', color: '$color' },
+            quantity: { $sum: '$remainingQuantity' },
+            value: { $sum: { $multiply: ['$remainingQuantity', '$unitCost'] } }
+          }
+        }
+      ]);
+      layers.forEach(layer => layerValues.set(`${layer._id.product}_${layer._id.color || ''}`, layer));
+    }
+
+    const items = [];
+    for (const row of rows) {
+      if (!row.product) continue;
+
+      let value;
+      if (method === 'fifo') {
+        const layer = layerValues.get(`${row.product._id}_${row.color ? row.color._id : ''}`) || { quantity: 0, value: 0 };
+        // Stock the layers do not cover is valued at the product's purchase price
+        value = layer.quantity >= row.quantity
+          ? layer.value * row.quantity / layer.quantity
+          : layer.value + (row.quantity - layer.quantity) * row.product.purchasePrice;
+      } else {
+        value = row.quantity * await row.getAverageCost();
+      }
+
+      items.push({
+        product: row.product,
+        color: row.color,
+        quantity: row.quantity,
+        unitCost: parseFloat((value / row.quantity).toFixed(4)),
+        value: round2(value)
+      });
+    }
+
+    items.sort((a, b) => (a.product.name || '').localeCompare(b.product.name || ''));
+
+    res.json({
+      success: true,
+      data: {
+        method,
+        totalQuantity: round2(items.reduce((sum, item) => sum + item.quantity, 0)),
+        totalValue: round2(items.reduce((sum, item) => sum + item.value, 0)),
+        items
+      }
+    });
+  } catch (error) {
+    console.error('Stock valuation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating stock valuation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTaxReport,
+  getProfitReport,
+  getStockValuation
+};
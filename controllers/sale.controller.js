@@ -1,91 +1,91 @@
 const mongoose = require('mongoose');
 const Sale = require('../models/sale.model');
-const Inventory = require('../models/inventory.model');
+const Invoice = require('../models/invoice.model');
 const Product = require('../models/product.model');
-const Color = require('../models/color.model');
-
-// @desc    Create new sale (without customer)
+const {
+  createSaleInvoice,
+  updateSaleInvoice,
+  deleteSaleInvoice,
+  deleteSaleLine,
+  updateSaleLine,
+  createSaleReturn,
+  populateInvoice
+} = require('../utils/saleInvoice');
+const {
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptEscPos,
+  renderReceiptPdf
+} = require('../utils/receipt');
+const {
+  holdSale,
+  applyHeldSale,
+  checkHeldSaleOwner,
+  findHeldSale,
+  finalizeHeldSale,
+  cancelHeldSale,
+  releaseExpiredReservations
+} = require('../utils/heldSale');
+const HeldSale = require('../models/heldSale.model');
+const { canOverridePrice } = require('../utils/pricing');
+const httpError = require('../utils/httpError');
+
+// @desc    Create new sale invoice (one or more line items, optional customer on credit)
 // @route   POST /api/sales
 // @access  Private
 const createSale = async (req, res) => {
-  try {
-    const { product, quantity, unitPrice, discount = 0, color, date } = req.body;
-    console.log('Request body:', req.body);
-    console.log('Request body color:', req.body.color);
-
-
-    console.log('Creating sale:', { product, quantity, unitPrice, discount });
-
-    // REQUIRED FIELDS (no customer name needed)
-    if (!product || !quantity || !unitPrice) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide: product, quantity, unitPrice'
-      });
-    }
+  const session = await mongoose.startSession();
 
-    // Validate product exists
-    const productDoc = await Product.findById(product);
-    if (!productDoc) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
+  try {
+    // Single-line body (product, quantity, unitPrice, ...) is still accepted.
+    // With heldSale set, the parked sale is finalized (items may be omitted).
+    const data = Array.isArray(req.body.items) || req.body.heldSale
+      ? req.body
+      : {
+          date: req.body.date,
+          customer: req.body.customer,
+          payments: req.body.payments,
+          amountPaid: req.body.amountPaid,
+          items: [{
+            product: req.body.product,
+            color: req.body.color,
+            quantity: req.body.quantity,
+            unitPrice: req.body.unitPrice,
+            discount: req.body.discount
+          }]
+        };
 
-    // Check stock availability
-    const stockFilter = { product };
-    if (color) stockFilter.color = color;
-    
-    const inventoryItem = await Inventory.findOne(stockFilter);
-    if (!inventoryItem || inventoryItem.quantity < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock. Available: ${inventoryItem ? inventoryItem.quantity : 0}`
-      });
-    }
+    await releaseExpiredReservations();
 
-    // Calculate total
-    const subtotal = quantity * unitPrice;
-    const discountAmount = subtotal * (discount / 100);
-    const totalAmount = parseFloat((subtotal - discountAmount).toFixed(2));
-
-    const saleData = {
-  product,
-  color: color || null,
-  quantity: parseFloat(quantity),        // ← FIXED: parseFloat not parseInt
-  unitPrice: parseFloat(unitPrice),
-  discount: parseFloat(discount),
-  totalAmount,
-  createdBy: req.user.id,
-  date: date ? new Date(date) : new Date()
-};
-    // CREATE SALE — MIDDLEWARE WILL HANDLE INVENTORY
-    const sale = await Sale.create(saleData);
+    let invoice;
+    await session.withTransaction(async () => {
+      const options = { allowPriceOverride: canOverridePrice(req.user) };
+      invoice = data.heldSale
+        ? await finalizeHeldSale(data.heldSale, data, req.user, session, options)
+        : await createSaleInvoice(data, req.user.id, session, options);
+    });
 
-    // Populate response
-    const populatedSale = await Sale.findById(sale._id)
-      .populate('product', 'name type code salePrice')
-      .populate('color', 'name codeName hexCode')
-      .populate('createdBy', 'name email');
+    const populatedInvoice = await populateInvoice(Invoice.findById(invoice._id));
 
     res.status(201).json({
       success: true,
       message: 'Sale recorded successfully!',
-      data: populatedSale
+      data: populatedInvoice
     });
 
   } catch (error) {
     console.error('Create sale error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating sale',
+      message: error.statusCode ? error.message : 'Error creating sale',
       error: error.message
     });
+  } finally {
+    session.endSession();
   }
 };
 
-// @desc    Create multiple sales at once
+// @desc    Create multiple sales at once (one invoice per item)
 // @route   POST /api/sales/bulk
 // @access  Private
 const createBulkSales = async (req, res) => {
@@ -95,6 +95,7 @@ const createBulkSales = async (req, res) => {
     const errors = [];
 
     for (const saleItem of salesData) {
+      const session = await mongoose.startSession();
       try {
         const { product, quantity, unitPrice, discount = 0, color } = saleItem;
 
@@ -103,42 +104,20 @@ const createBulkSales = async (req, res) => {
           continue;
         }
 
-        // Check stock
-        const stockFilter = { product };
-        if (color) stockFilter.color = color;
-        
-        const inventoryItem = await Inventory.findOne(stockFilter);
-        if (!inventoryItem || inventoryItem.quantity < quantity) {
-          errors.push({ 
-            item: saleItem, 
-            error: `Insufficient stock for product ${product}` 
-          });
-          continue;
-        }
+        let invoice;
+        await session.withTransaction(async () => {
+          invoice = await createSaleInvoice({
+            saleType: 'bulk',
+            items: [{ product, color, quantity, unitPrice, discount }]
+          }, req.user.id, session, { allowPriceOverride: canOverridePrice(req.user) });
+        });
 
-        // Calculate total
-        const subtotal = quantity * unitPrice;
-        const discountAmount = subtotal * (discount / 100);
-        const totalAmount = parseFloat((subtotal - discountAmount).toFixed(2));
-
-       const sale = await Sale.create({
-  product,
-  color: color || null,
-  quantity: parseFloat(quantity),        // ← FIXED: parseFloat not parseInt
-  unitPrice: parseFloat(unitPrice),
-  discount: parseFloat(discount),
-  totalAmount,
-  createdBy: req.user.id,
-  date: new Date()
-});
-
-        const populatedSale = await Sale.findById(sale._id)
-          .populate('product', 'name type code salePrice')
-          .populate('color', 'name codeName hexCode');
-
-        createdSales.push(populatedSale);
+        const populatedInvoice = await populateInvoice(Invoice.findById(invoice._id));
+        createdSales.push(populatedInvoice);
       } catch (error) {
         errors.push({ item: saleItem, error: error.message });
+      } finally {
+        session.endSession();
       }
     }
 
@@ -343,10 +322,48 @@ const getSalesByDateRange = async (req, res) => {
   }
 };
 
-// @desc    Delete sale
+// @desc    Update sale line (stock difference moved, invoice recalculated)
+// @route   PUT /api/sales/:id
+// @access  Private
+const updateSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found');
+      await updateSaleLine(sale, req.body, req.user.id, session, { allowPriceOverride: canOverridePrice(req.user) });
+    });
+
+    const populatedSale = await Sale.findById(req.params.id)
+      .populate('product', 'name type code salePrice')
+      .populate('color', 'name codeName hexCode')
+      .populate('createdBy', 'name email')
+      .populate('editHistory.editedBy', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Sale updated successfully',
+      data: populatedSale
+    });
+  } catch (error) {
+    console.error('Update sale error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating sale',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Delete sale line (stock is restored, invoice recalculated)
 // @route   DELETE /api/sales/:id
 // @access  Private
 const deleteSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const sale = await Sale.findById(req.params.id);
     if (!sale) {
@@ -356,7 +373,9 @@ const deleteSale = async (req, res) => {
       });
     }
 
-    await Sale.findByIdAndDelete(req.params.id);
+    await session.withTransaction(async () => {
+      await deleteSaleLine(sale, req.user.id, session);
+    });
 
     res.json({ 
       success: true, 
@@ -364,14 +383,307 @@ const deleteSale = async (req, res) => {
     });
   } catch (error) {
     console.error('Delete sale error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Error deleting sale',
+      message: error.statusCode ? error.message : 'Error deleting sale',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Return items from a sale invoice (partial quantities allowed)
+// @route   POST /api/sales/returns
+// @access  Private
+const createReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let returnInvoice;
+    await session.withTransaction(async () => {
+      returnInvoice = await createSaleReturn(req.body, req.user.id, session);
+    });
+
+    const populatedReturn = await populateInvoice(Invoice.findById(returnInvoice._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Return recorded successfully',
+      data: populatedReturn
+    });
+  } catch (error) {
+    console.error('Create return error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error recording return',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get sale invoices (with date filtering)
+// @route   GET /api/sales/invoices
+// @access  Private
+const getInvoices = async (req, res) => {
+  try {
+    const { startDate, endDate, paymentStatus, customer, saleType, search, page = 1, limit = 20 } = req.query;
+
+    let filter = {};
+
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.date.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.date.$lte = end;
+      }
+    } else {
+      // Default to today if no date specified
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      filter.date = { $gte: today, $lt: tomorrow };
+    }
+
+    if (paymentStatus) {
+      filter.paymentStatus = paymentStatus;
+    }
+
+    if (customer) {
+      filter.customer = customer;
+    }
+
+    if (saleType) {
+      filter.saleType = saleType;
+    }
+
+    if (search) {
+      filter.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [invoices, total] = await Promise.all([
+      populateInvoice(Invoice.find(filter))
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Invoice.countDocuments(filter)
+    ]);
+
+    const totalAmount = invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0);
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      total,
+      totalAmount,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      data: invoices
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single sale invoice with its items
+// @route   GET /api/sales/invoices/:id
+// @access  Private
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await populateInvoice(Invoice.findById(req.params.id));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up a sale or return invoice by its number
+// @route   GET /api/sales/invoice/:reference
+// @access  Private
+const getInvoiceByReference = async (req, res) => {
+  try {
+    const reference = req.params.reference.trim().toUpperCase();
+    const invoice = await populateInvoice(Invoice.findOne({ invoiceNumber: reference }));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: `No invoice found with number ${reference}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Get invoice by reference error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Printable receipt of a sale invoice (id of the invoice or one of its lines)
+// @route   GET /api/sales/:id/receipt?format=pdf|escpos|html&width=42
+// @access  Private
+const getSaleReceipt = async (req, res) => {
+  try {
+    const { format = 'html', width = 42 } = req.query;
+
+    if (!['pdf', 'escpos', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be pdf, escpos or html'
+      });
+    }
+
+    let invoice = await populateInvoice(Invoice.findById(req.params.id));
+    if (!invoice) {
+      const sale = await Sale.findById(req.params.id);
+      if (sale && sale.invoice) {
+        invoice = await populateInvoice(Invoice.findById(sale.invoice));
+      }
+    }
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    const receipt = buildReceipt(invoice);
+
+    if (format === 'pdf') {
+      const pdf = await renderReceiptPdf(receipt);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    if (format === 'escpos') {
+      const columns = Math.min(Math.max(parseInt(width) || 42, 24), 64);
+      res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.bin"`
+      });
+      return res.send(renderReceiptEscPos(receipt, columns));
+    }
+
+    res.type('html').send(renderReceiptHtml(receipt));
+  } catch (error) {
+    console.error('Get sale receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating receipt',
       error: error.message
     });
   }
 };
 
+// @desc    Update sale invoice (header and/or items; items with _id are edited in place)
+// @route   PUT /api/sales/invoices/:id
+// @access  Private
+const updateInvoice = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const invoice = await Invoice.findById(req.params.id).session(session);
+      if (!invoice) throw httpError(404, 'Invoice not found');
+      await updateSaleInvoice(invoice, req.body, req.user.id, session, { allowPriceOverride: canOverridePrice(req.user) });
+    });
+
+    const populatedInvoice = await populateInvoice(Invoice.findById(req.params.id));
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: populatedInvoice
+    });
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating invoice',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Delete sale invoice with all items (stock is restored)
+// @route   DELETE /api/sales/invoices/:id
+// @access  Private
+const deleteInvoice = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const invoice = await Invoice.findById(req.params.id).session(session);
+      if (!invoice) throw httpError(404, 'Invoice not found');
+      await deleteSaleInvoice(invoice, req.user.id, session);
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deleting invoice',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
 // @desc    Get sales statistics
 // @route   GET /api/sales/stats
 // @access  Private
@@ -406,12 +718,19 @@ const getSalesStats = async (req, res) => {
 
     const endDate = new Date();
 
-    const sales = await Sale.find({ 
-      date: { $gte: startDate, $lte: endDate } 
-    });
+    const [sales, paymentMethods] = await Promise.all([
+      Sale.find({ date: { $gte: startDate, $lte: endDate } }),
+      Invoice.getPaymentBreakdown(startDate, endDate)
+    ]);
 
-    const totalSales = sales.reduce((sum, s) => sum + s.totalAmount, 0);
-    const totalItems = sales.reduce((sum, s) => sum + s.quantity, 0);
+    // Return lines count as negative quantity and amount
+    const sign = (s) => (s.saleType === 'return' ? -1 : 1);
+    const returns = sales.filter(s => s.saleType === 'return');
+
+    const totalSales = sales.reduce((sum, s) => sum + sign(s) * s.totalAmount, 0);
+    const totalItems = sales.reduce((sum, s) => sum + sign(s) * s.quantity, 0);
+    const returnAmount = returns.reduce((sum, s) => sum + s.totalAmount, 0);
+    const transactions = sales.length - returns.length;
 
     // Get top products
     const productSales = {};
@@ -423,8 +742,8 @@ const getSalesStats = async (req, res) => {
           amount: 0
         };
       }
-      productSales[productId].quantity += sale.quantity;
-      productSales[productId].amount += sale.totalAmount;
+      productSales[productId].quantity += sign(sale) * sale.quantity;
+      productSales[productId].amount += sign(sale) * sale.totalAmount;
     });
 
     // Convert to array and sort
@@ -446,8 +765,11 @@ const getSalesStats = async (req, res) => {
       data: {
         totalSales,
         totalItems,
-        totalTransactions: sales.length,
-        averageSale: sales.length > 0 ? totalSales / sales.length : 0,
+        totalTransactions: transactions,
+        totalReturns: returns.length,
+        returnAmount,
+        averageSale: transactions > 0 ? (totalSales + returnAmount) / transactions : 0,
+        paymentMethods,
         topProducts
       }
     });
@@ -502,14 +824,191 @@ const getAllSalesForDate = async (req, res) => {
   }
 };
 
+const populateHeldSale = (query) => query
+  .populate('items.product', 'name type code salePrice')
+  .populate('items.color', 'name codeName hexCode')
+  .populate('customer', 'name phone balance')
+  .populate('invoice', 'invoiceNumber')
+  .populate('createdBy', 'name email');
+
+// @desc    Hold (park) a sale, optionally reserving its stock
+// @route   POST /api/sales/held
+// @access  Private
+const createHeldSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await releaseExpiredReservations();
+
+    let heldSale;
+    await session.withTransaction(async () => {
+      heldSale = await holdSale(req.body, req.user.id, session);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sale held successfully',
+      data: await populateHeldSale(HeldSale.findById(heldSale._id))
+    });
+  } catch (error) {
+    console.error('Hold sale error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error holding sale',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get held sales of the current user (admins may pass ?all=true or ?user=)
+// @route   GET /api/sales/held
+// @access  Private
+const getHeldSales = async (req, res) => {
+  try {
+    const { status = 'held', user, all } = req.query;
+
+    await releaseExpiredReservations();
+
+    const filter = {};
+    if (status !== 'all') {
+      filter.status = status;
+    }
+
+    const isAdmin = ['admin', 'superadmin'].includes(req.user.role);
+    if (!isAdmin) {
+      filter.createdBy = req.user.id;
+    } else if (user) {
+      filter.createdBy = user;
+    } else if (all !== 'true') {
+      filter.createdBy = req.user.id;
+    }
+
+    const heldSales = await populateHeldSale(HeldSale.find(filter)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: heldSales.length,
+      data: heldSales
+    });
+  } catch (error) {
+    console.error('Get held sales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching held sales',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a held sale to resume it at the counter
+// @route   GET /api/sales/held/:id
+// @access  Private
+const getHeldSale = async (req, res) => {
+  try {
+    await releaseExpiredReservations();
+
+    const heldSale = await populateHeldSale(HeldSale.findById(req.params.id));
+    if (!heldSale) {
+      throw httpError(404, 'Held sale not found');
+    }
+    checkHeldSaleOwner(heldSale, req.user);
+
+    res.json({
+      success: true,
+      data: heldSale
+    });
+  } catch (error) {
+    console.error('Get held sale error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching held sale',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a held sale (items, customer, reservation)
+// @route   PUT /api/sales/held/:id
+// @access  Private
+const updateHeldSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await releaseExpiredReservations();
+
+    await session.withTransaction(async () => {
+      const heldSale = await findHeldSale(req.params.id, req.user, session);
+      await applyHeldSale(heldSale, req.body, session);
+    });
+
+    res.json({
+      success: true,
+      message: 'Held sale updated successfully',
+      data: await populateHeldSale(HeldSale.findById(req.params.id))
+    });
+  } catch (error) {
+    console.error('Update held sale error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating held sale',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Cancel a held sale and release its reserved stock
+// @route   DELETE /api/sales/held/:id
+// @access  Private
+const deleteHeldSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const heldSale = await findHeldSale(req.params.id, req.user, session);
+      await cancelHeldSale(heldSale, session);
+    });
+
+    res.json({
+      success: true,
+      message: 'Held sale cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel held sale error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling held sale',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
 module.exports = {
   getSales,
   createSale,
   createBulkSales,
+  updateSale,
   deleteSale,
   getSalesStats,
   getDailySales,
   getDailySummary,
   getSalesByDateRange,
-  getAllSalesForDate
+  getAllSalesForDate,
+  getInvoices,
+  getInvoice,
+  getInvoiceByReference,
+  getSaleReceipt,
+  updateInvoice,
+  deleteInvoice,
+  createReturn,
+  createHeldSale,
+  getHeldSales,
+  getHeldSale,
+  updateHeldSale,
+  deleteHeldSale
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const Setting = require('../models/setting.model');
+const Product = require('../models/product.model');
+const { parseTaxRate } = require('../utils/tax');
+const httpError = require('../utils/httpError');
+
+// @desc    Get shop settings
+// @route   GET /api/settings
+// @access  Private
+const getSettings = async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update shop settings (tax mode and rates, costing method, adjustment limit)
+// @route   PUT /api/settings
+// @access  Private (admin, superadmin)
+const updateSettings = async (req, res) => {
+  try {
+    const { tax, costing, adjustments } = req.body;
+    const settings = await Setting.getSettings();
+
+    if (tax) {
+      if (tax.mode !== undefined) {
+        if (!['inclusive', 'exclusive'].includes(tax.mode)) {
+          throw httpError(400, 'Tax mode must be inclusive or exclusive');
+        }
+        settings.tax.mode = tax.mode;
+      }
+
+      if (tax.defaultRate !== undefined) {
+        settings.tax.defaultRate = parseTaxRate(tax.defaultRate, 'Default tax rate') || 0;
+      }
+
+      // Replace the per-type rates; a type left out (or empty) uses the default rate
+      if (tax.typeRates !== undefined) {
+        const typeRates = new Map();
+        for (const [type, value] of Object.entries(tax.typeRates || {})) {
+          if (!Product.PRODUCT_TYPES.includes(type)) {
+            throw httpError(400, `Unknown product type: ${type}. Use: ${Product.PRODUCT_TYPES.join(', ')}`);
+          }
+          const rate = parseTaxRate(value, `Tax rate for ${type}`);
+          if (rate !== null) typeRates.set(type, rate);
+        }
+        settings.tax.typeRates = typeRates;
+      }
+    }
+
+    // Applies to sales recorded from now on; recorded cost of goods is kept
+    if (costing && costing.method !== undefined) {
+      if (!Setting.COSTING_METHODS.includes(costing.method)) {
+        throw httpError(400, `Costing method must be one of ${Setting.COSTING_METHODS.join(', ')}`);
+      }
+      settings.costing.method = costing.method;
+    }
+
+    if (adjustments && adjustments.staffValueLimit !== undefined) {
+      const limit = parseFloat(adjustments.staffValueLimit);
+      if (!(limit >= 0)) {
+        throw httpError(400, 'Adjustment limit must be zero or more');
+      }
+      settings.adjustments.staffValueLimit = limit;
+    }
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating settings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
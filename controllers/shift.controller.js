@@ -0,0 +1,237 @@
+const Shift = require('../models/shift.model');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Shift with its live cash figures while it is still open
+const withCash = async (shift) => {
+  const data = shift.toObject();
+  if (shift.status === 'open') {
+    Object.assign(data, await shift.calculateCash());
+  }
+  return data;
+};
+
+// @desc    Open a shift with an opening float
+// @route   POST /api/shifts/open
+// @access  Private
+const openShift = async (req, res) => {
+  try {
+    const openingFloat = parseFloat(req.body.openingFloat);
+    if (isNaN(openingFloat) || openingFloat < 0) {
+      throw httpError(400, 'Opening float must be 0 or more');
+    }
+
+    if (await Shift.findOpen(req.user.id)) {
+      throw httpError(400, 'You already have an open shift. Close it before opening a new one');
+    }
+
+    const shift = await Shift.create({
+      user: req.user.id,
+      openingFloat: round2(openingFloat),
+      notes: req.body.notes
+    });
+
+    await shift.populate('user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Open shift error:', error);
+    // Lost a race against another open request for the same user
+    const statusCode = error.code === 11000 ? 400 : error.statusCode;
+    res.status(statusCode || 500).json({
+      success: false,
+      message: error.code === 11000
+        ? 'You already have an open shift'
+        : (error.statusCode ? error.message : 'Error opening shift'),
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's open shift with expected cash so far
+// @route   GET /api/shifts/current
+// @access  Private
+const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOpen(req.user.id).populate('user', 'name email');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open shift'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await withCash(shift)
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching current shift',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Close a shift: compare counted cash with expected cash
+// @route   POST /api/shifts/:id/close
+// @access  Private (shift owner, admin, superadmin)
+const closeShift = async (req, res) => {
+  try {
+    const countedCash = parseFloat(req.body.countedCash);
+    if (isNaN(countedCash) || countedCash < 0) {
+      throw httpError(400, 'Counted cash must be 0 or more');
+    }
+
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      throw httpError(404, 'Shift not found');
+    }
+    if (shift.status !== 'open') {
+      throw httpError(400, 'Shift is already closed');
+    }
+    if (String(shift.user) !== String(req.user.id) && !['admin', 'superadmin'].includes(req.user.role)) {
+      throw httpError(403, 'Only the shift owner or an admin can close this shift');
+    }
+
+    const cash = await shift.calculateCash();
+
+    Object.assign(shift, cash, {
+      status: 'closed',
+      closedAt: new Date(),
+      closedBy: req.user.id,
+      countedCash: round2(countedCash),
+      overShort: round2(countedCash - cash.expectedCash)
+    });
+    if (req.body.notes !== undefined) {
+      shift.notes = req.body.notes;
+    }
+    await shift.save();
+
+    await shift.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'closedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Shift closed successfully',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Close shift error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error closing shift',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get shifts with filters (staff only see their own)
+// @route   GET /api/shifts
+// @access  Private
+const getShifts = async (req, res) => {
+  try {
+    const { status, user, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (!['admin', 'superadmin'].includes(req.user.role)) {
+      filter.user = req.user.id;
+    } else if (user) {
+      filter.user = user;
+    }
+
+    if (startDate || endDate) {
+      filter.openedAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.openedAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.openedAt.$lte = end;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .populate('user', 'name email')
+        .populate('closedBy', 'name email')
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      data: shifts
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shifts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single shift (open shifts include expected cash so far)
+// @route   GET /api/shifts/:id
+// @access  Private
+const getShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('closedBy', 'name email');
+
+    if (!shift) {
+      throw httpError(404, 'Shift not found');
+    }
+    if (String(shift.user._id) !== String(req.user.id) && !['admin', 'superadmin'].includes(req.user.role)) {
+      throw httpError(403, 'Not authorized to view this shift');
+    }
+
+    res.json({
+      success: true,
+      data: await withCash(shift)
+    });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching shift',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShifts,
+  getShift
+};
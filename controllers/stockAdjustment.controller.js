@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const StockAdjustment = require('../models/stockAdjustment.model');
+const Inventory = require('../models/inventory.model');
+const Product = require('../models/product.model');
+const Color = require('../models/color.model');
+const { postStockAdjustment } = require('../utils/stockAdjustment');
+const httpError = require('../utils/httpError');
+
+const populateAdjustment = (query) => query
+  .populate('product', 'name type code')
+  .populate('color', 'name codeName hexCode')
+  .populate('createdBy', 'name email role');
+
+// @desc    Get stock adjustments with filters
+// @route   GET /api/stock-adjustments
+// @access  Private
+const getStockAdjustments = async (req, res) => {
+  try {
+    const { startDate, endDate, reason, product, inventory, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.date.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.date.$lte = end;
+      }
+    }
+
+    if (reason) filter.reason = reason;
+    // Aggregate $match does not cast ids, so cast them here
+    for (const [field, value] of Object.entries({ product, inventory })) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        throw httpError(400, `Invalid ${field}`);
+      }
+      filter[field] = new mongoose.Types.ObjectId(value);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [adjustments, total, totals] = await Promise.all([
+      populateAdjustment(StockAdjustment.find(filter))
+        .sort({ date: -1, _id: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockAdjustment.countDocuments(filter),
+      StockAdjustment.aggregate([
+        { $match: filter },
+        { $group: { _id: '$reason', quantity: { $sum: '$quantity' }, value: { $sum: '$value' }, count: { $sum: 1 } } },
+        { $sort: { value: 1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      count: adjustments.length,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      // Variance at cost per reason over all matching adjustments
+      byReason: totals.map(row => ({
+        reason: row._id,
+        count: row.count,
+        quantity: row.quantity,
+        value: parseFloat(row.value.toFixed(2))
+      })),
+      data: adjustments
+    });
+  } catch (error) {
+    console.error('Get stock adjustments error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching stock adjustments',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single stock adjustment
+// @route   GET /api/stock-adjustments/:id
+// @access  Private
+const getStockAdjustment = async (req, res) => {
+  try {
+    const adjustment = await populateAdjustment(StockAdjustment.findById(req.params.id));
+    if (!adjustment) {
+      throw httpError(404, 'Stock adjustment not found');
+    }
+
+    res.json({
+      success: true,
+      data: adjustment
+    });
+  } catch (error) {
+    console.error('Get stock adjustment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching stock adjustment',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Write stock on or off with a reason. Give the change as quantity
+//          (negative = write off) or the countedQuantity found on the shelf.
+//          Staff may post adjustments up to the limit in settings.
+// @route   POST /api/stock-adjustments
+// @access  Private
+const createStockAdjustment = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { inventory: inventoryId, product, color, quantity, countedQuantity, reason, note, date } = req.body;
+    let adjustment;
+
+    if (!inventoryId && !product) {
+      throw httpError(400, 'Please provide the inventory item or the product (and color)');
+    }
+    if (inventoryId && !mongoose.isValidObjectId(inventoryId)) {
+      throw httpError(400, 'Invalid inventory item');
+    }
+    if (!inventoryId && !mongoose.isValidObjectId(product)) {
+      throw httpError(400, 'Invalid product');
+    }
+    if (!inventoryId && color && !mongoose.isValidObjectId(color)) {
+      throw httpError(400, 'Invalid color');
+    }
+
+    await session.withTransaction(async () => {
+      const row = inventoryId
+        ? await Inventory.findById(inventoryId).session(session)
+        : await Inventory.findOne({ product, color: color || null }).session(session);
+      if (inventoryId && !row) {
+        throw httpError(404, 'Inventory item not found');
+      }
+      // No stock row yet (e.g. stock found): the product and color must exist
+      if (!row) {
+        if (!(await Product.exists({ _id: product }).session(session))) {
+          throw httpError(404, 'Product not found');
+        }
+        if (color && !(await Color.exists({ _id: color }).session(session))) {
+          throw httpError(400, 'Color not found');
+        }
+      }
+
+      let change = quantity;
+      if (countedQuantity !== undefined && countedQuantity !== '') {
+        const counted = parseFloat(countedQuantity);
+        if (!(counted >= 0)) {
+          throw httpError(400, 'Counted quantity must be zero or more');
+        }
+        change = counted - (row ? row.quantity : 0);
+      }
+
+      adjustment = await postStockAdjustment({
+        product: row ? row.product : product,
+        color: row ? row.color : color,
+        quantity: change,
+        reason,
+        note,
+        date,
+        user: req.user,
+        session
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjustment recorded',
+      data: await populateAdjustment(StockAdjustment.findById(adjustment._id))
+    });
+  } catch (error) {
+    console.error('Create stock adjustment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error recording stock adjustment',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getStockAdjustments,
+  getStockAdjustment,
+  createStockAdjustment
+};
@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const StockTake = require('../models/stockTake.model');
+const Inventory = require('../models/inventory.model');
+const Product = require('../models/product.model');
+const Counter = require('../models/counter.model');
+const { postStockAdjustment } = require('../utils/stockAdjustment');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const populateStockTake = (query) => query
+  .populate('lines.product', 'name type code')
+  .populate('lines.color', 'name codeName hexCode family')
+  .populate('lines.adjustment', 'adjustmentNumber quantity value')
+  .populate('createdBy', 'name email')
+  .populate('approvedBy', 'name email')
+  .populate('cancelledBy', 'name email');
+
+// Variance per line (counted - expected, null until counted) valued at the cost
+// frozen with the session, or at the posted adjustment's value once approved
+const withVariances = (stockTake) => {
+  const data = stockTake.toObject();
+  const summary = {
+    lines: data.lines.length,
+    counted: 0,
+    uncounted: 0,
+    withVariance: 0,
+    shortageValue: 0,
+    surplusValue: 0,
+    netValue: 0
+  };
+
+  data.lines = data.lines.map(line => {
+    if (line.countedQuantity === null || line.countedQuantity === undefined) {
+      summary.uncounted += 1;
+      return { ...line, variance: null, varianceValue: null };
+    }
+
+    summary.counted += 1;
+    const variance = round2(line.countedQuantity - line.expectedQuantity);
+    const varianceValue = line.adjustment && line.adjustment.value !== undefined
+      ? line.adjustment.value
+      : round2(variance * line.unitCost);
+
+    if (variance !== 0) summary.withVariance += 1;
+    if (varianceValue < 0) summary.shortageValue = round2(summary.shortageValue + varianceValue);
+    if (varianceValue > 0) summary.surplusValue = round2(summary.surplusValue + varianceValue);
+    summary.netValue = round2(summary.netValue + varianceValue);
+
+    return { ...line, variance, varianceValue };
+  });
+
+  data.summary = summary;
+  return data;
+};
+
+// @desc    Get stock takes
+// @route   GET /api/stock-takes
+// @access  Private
+const getStockTakes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [stockTakes, total] = await Promise.all([
+      StockTake.find(filter)
+        .populate('lines.adjustment', 'value')
+        .populate('createdBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockTake.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: stockTakes.length,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      // Lines left out of the list; fetch one stock take for them
+      data: stockTakes.map(stockTake => {
+        const { lines, ...rest } = withVariances(stockTake);
+        return rest;
+      })
+    });
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock takes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single stock take with variances. ?varianceOnly=true leaves out
+//          lines that are uncounted or match the book quantity
+// @route   GET /api/stock-takes/:id
+// @access  Private
+const getStockTake = async (req, res) => {
+  try {
+    const stockTake = await populateStockTake(StockTake.findById(req.params.id));
+    if (!stockTake) {
+      throw httpError(404, 'Stock take not found');
+    }
+
+    const data = withVariances(stockTake);
+    if (req.query.varianceOnly === 'true') {
+      data.lines = data.lines.filter(line => line.variance !== null && line.variance !== 0);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching stock take',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Open a count session for all stock rows, or those of one product type
+//          and/or color family. Book quantities and costs are frozen now.
+// @route   POST /api/stock-takes
+// @access  Private
+const createStockTake = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { productType, colorFamily, notes } = req.body;
+    const family = colorFamily ? colorFamily.trim().toLowerCase() : null;
+    let stockTake;
+
+    if (productType && !Product.PRODUCT_TYPES.includes(productType)) {
+      throw httpError(400, `Product type must be one of: ${Product.PRODUCT_TYPES.join(', ')}`);
+    }
+
+    await session.withTransaction(async () => {
+      const rows = await Inventory.find()
+        .populate('product', 'type isActive')
+        .populate('color', 'family')
+        .session(session);
+
+      const included = rows.filter(row => row.product && row.product.isActive &&
+        (!productType || row.product.type === productType) &&
+        (!family || (row.color && row.color.family === family)));
+      if (included.length === 0) {
+        throw httpError(400, 'No stock rows match these filters');
+      }
+
+      // A row counted in two open sessions would have its variance posted twice
+      const overlapping = await StockTake.findOne({
+        status: 'open',
+        'lines.inventory': { $in: included.map(row => row._id) }
+      }).select('stockTakeNumber').session(session);
+      if (overlapping) {
+        throw httpError(400, `Some of these items are already being counted in stock take ${overlapping.stockTakeNumber}`);
+      }
+
+      const lines = [];
+      for (const row of included) {
+        lines.push({
+          inventory: row._id,
+          product: row.product._id,
+          color: row.color ? row.color._id : null,
+          expectedQuantity: row.quantity,
+          unitCost: await row.getAverageCost(session)
+        });
+      }
+
+      [stockTake] = await StockTake.create([{
+        stockTakeNumber: await Counter.nextNumber('stock_take', new Date(), session),
+        filters: { productType: productType || null, colorFamily: family },
+        lines,
+        notes,
+        createdBy: req.user.id
+      }], { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock take opened',
+      data: withVariances(await populateStockTake(StockTake.findById(stockTake._id)))
+    });
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error opening stock take',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Submit counted quantities. Any staff member may count; a later count
+//          of the same line replaces the earlier one (both are kept in counts).
+//          Body: { counts: [{ line | inventory, countedQuantity }] }
+// @route   PUT /api/stock-takes/:id/counts
+// @access  Private
+const submitCounts = async (req, res) => {
+  try {
+    const { counts } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw httpError(400, 'Please provide at least one count');
+    }
+
+    const stockTake = await StockTake.findById(req.params.id).select('status lines._id lines.inventory');
+    if (!stockTake) {
+      throw httpError(404, 'Stock take not found');
+    }
+    if (stockTake.status !== 'open') {
+      throw httpError(400, `Cannot count a stock take that is ${stockTake.status}`);
+    }
+
+    const countedAt = new Date();
+    const operations = counts.map((count, index) => {
+      const line = stockTake.lines.find(item =>
+        (count.line && item._id.toString() === count.line.toString()) ||
+        (count.inventory && item.inventory.toString() === count.inventory.toString()));
+      if (!line) {
+        throw httpError(400, `Count ${index + 1}: item is not part of this stock take`);
+      }
+
+      const quantity = parseFloat(count.countedQuantity);
+      if (!(quantity >= 0)) {
+        throw httpError(400, `Count ${index + 1}: counted quantity must be zero or more`);
+      }
+
+      // Positional updates so staff counting at the same time don't overwrite each other
+      return {
+        updateOne: {
+          filter: { _id: stockTake._id, status: 'open', 'lines._id': line._id },
+          update: {
+            $set: { 'lines.$.countedQuantity': quantity },
+            $push: { 'lines.$.counts': { quantity, countedBy: req.user.id, countedAt } }
+          }
+        }
+      };
+    });
+
+    const result = await StockTake.bulkWrite(operations);
+    if (result.matchedCount !== operations.length) {
+      throw httpError(409, 'Stock take was closed while counting; counts not all saved');
+    }
+
+    res.json({
+      success: true,
+      message: `${operations.length} count(s) saved`,
+      data: withVariances(await populateStockTake(StockTake.findById(stockTake._id)))
+    });
+  } catch (error) {
+    console.error('Submit stock take counts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error saving counts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve a stock take: each counted line that differs from its frozen
+//          book quantity posts a 'correction' stock adjustment for the difference.
+//          Uncounted lines are left as they are.
+// @route   POST /api/stock-takes/:id/approve
+// @access  Private/Admin
+const approveStockTake = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let posted = 0;
+
+    await session.withTransaction(async () => {
+      posted = 0;
+      const stockTake = await StockTake.findById(req.params.id).session(session);
+      if (!stockTake) {
+        throw httpError(404, 'Stock take not found');
+      }
+      if (stockTake.status !== 'open') {
+        throw httpError(400, `Stock take is already ${stockTake.status}`);
+      }
+      if (!stockTake.lines.some(line => line.countedQuantity !== null)) {
+        throw httpError(400, 'Nothing has been counted yet');
+      }
+
+      for (const line of stockTake.lines) {
+        if (line.countedQuantity === null) continue;
+        const variance = round2(line.countedQuantity - line.expectedQuantity);
+        if (variance === 0) continue;
+
+        const adjustment = await postStockAdjustment({
+          product: line.product,
+          color: line.color,
+          quantity: variance,
+          reason: 'correction',
+          note: `Stock take ${stockTake.stockTakeNumber}`,
+          stockTake: stockTake._id,
+          user: req.user,
+          session
+        });
+        line.adjustment = adjustment._id;
+        posted += 1;
+      }
+
+      stockTake.status = 'approved';
+      stockTake.approvedBy = req.user.id;
+      stockTake.approvedAt = new Date();
+      await stockTake.save({ session });
+    });
+
+    res.json({
+      success: true,
+      message: `Stock take approved; ${posted} adjustment(s) posted`,
+      data: withVariances(await populateStockTake(StockTake.findById(req.params.id)))
+    });
+  } catch (error) {
+    console.error('Approve stock take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error approving stock take',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Cancel an open stock take; nothing is posted
+// @route   POST /api/stock-takes/:id/cancel
+// @access  Private/Admin
+const cancelStockTake = async (req, res) => {
+  try {
+    const stockTake = await StockTake.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { status: 'cancelled', cancelledBy: req.user.id, cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!stockTake) {
+      const exists = await StockTake.findById(req.params.id).select('status');
+      throw exists
+        ? httpError(400, `Stock take is already ${exists.status}`)
+        : httpError(404, 'Stock take not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock take cancelled',
+      data: withVariances(await populateStockTake(StockTake.findById(stockTake._id)))
+    });
+  } catch (error) {
+    console.error('Cancel stock take error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling stock take',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStockTakes,
+  getStockTake,
+  createStockTake,
+  submitCounts,
+  approveStockTake,
+  cancelStockTake
+};
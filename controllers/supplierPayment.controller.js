@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const SupplierPayment = require('../models/supplierPayment.model');
+const Purchase = require('../models/purchase.model');
+const Contact = require('../models/contact.model');
+const Ledger = require('../models/ledger.model');
+const Shift = require('../models/shift.model');
+const Counter = require('../models/counter.model');
+const paymentMethods = require('../config/paymentMethods');
+const { resolveSupplier } = require('../utils/purchase');
+const httpError = require('../utils/httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Settle purchase bills of a supplier with a payment. Given allocations are
+// applied as-is; without them the payment goes to the oldest due bills first.
+// Returns the allocations and the amount left over as an advance.
+const allocatePayment = async (supplier, amount, allocations, session) => {
+    const applied = [];
+    let remaining = amount;
+
+    const applyTo = async (purchase, value) => {
+        purchase.amountPaid = round2(purchase.amountPaid + value);
+        purchase.updatePaymentStatus();
+        await purchase.save({ session });
+        applied.push({ purchase: purchase._id, amount: value });
+        remaining = round2(remaining - value);
+    };
+
+    if (Array.isArray(allocations) && allocations.length > 0) {
+        for (let i = 0; i < allocations.length; i++) {
+            const value = round2(parseFloat(allocations[i].amount));
+            if (!(value > 0)) {
+                throw httpError(400, `Allocation ${i + 1}: amount must be a positive number`);
+            }
+            if (value > remaining) {
+                throw httpError(400, 'Allocations cannot exceed the payment amount');
+            }
+
+            const purchase = await Purchase.findOne({ _id: allocations[i].purchase, supplier }).session(session);
+            if (!purchase) {
+                throw httpError(404, `Allocation ${i + 1}: purchase not found for this supplier`);
+            }
+            if (value > purchase.balanceDue) {
+                throw httpError(400, `Allocation ${i + 1}: only ${purchase.balanceDue} is due on purchase ${purchase.purchaseNumber}`);
+            }
+
+            await applyTo(purchase, value);
+        }
+    } else {
+        const bills = await Purchase.find({ supplier, balanceDue: { $gt: 0 } })
+            .sort({ dueDate: 1, date: 1 })
+            .session(session);
+
+        for (const purchase of bills) {
+            if (remaining <= 0) break;
+            await applyTo(purchase, Math.min(remaining, purchase.balanceDue));
+        }
+    }
+
+    return { allocations: applied, unallocatedAmount: remaining };
+};
+
+const populatePayment = (query) => query
+    .populate('supplier', 'name phone balance')
+    .populate('allocations.purchase', 'purchaseNumber date totalAmount balanceDue paymentStatus')
+    .populate('createdBy', 'name email');
+
+// @desc    Get supplier payments with filters
+// @route   GET /api/supplier-payments
+// @access  Private
+const getSupplierPayments = async (req, res) => {
+    try {
+        const { startDate, endDate, supplier, paymentMethod, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+
+        if (startDate || endDate) {
+            filter.date = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                filter.date.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                filter.date.$lte = end;
+            }
+        }
+
+        if (supplier) {
+            filter.supplier = supplier;
+        }
+
+        if (paymentMethod) {
+            filter.paymentMethod = paymentMethod;
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const skip = (pageNum - 1) * limitNum;
+
+        const [payments, total] = await Promise.all([
+            populatePayment(SupplierPayment.find(filter))
+                .sort({ date: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            SupplierPayment.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: payments.length,
+            total,
+            currentPage: pageNum,
+            totalPages: Math.ceil(total / limitNum),
+            data: payments
+        });
+    } catch (error) {
+        console.error('Get supplier payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching supplier payments',
+            error: error.message
+        });
+    }
+};
+
+// @desc    What we owe each supplier: unpaid bills, overdue amount and balance
+// @route   GET /api/supplier-payments/outstanding
+// @access  Private
+const getOutstandingPayables = async (req, res) => {
+    try {
+        const { supplier } = req.query;
+        const now = new Date();
+
+        const match = { balanceDue: { $gt: 0 } };
+        if (supplier) {
+            if (!mongoose.isValidObjectId(supplier)) {
+                throw httpError(400, 'Invalid supplier');
+            }
+            match.supplier = new mongoose.Types.ObjectId(supplier);
+        }
+
+        const groups = await Purchase.aggregate([
+            { $match: match },
+            { $sort: { dueDate: 1, date: 1 } },
+            {
+                $group: {
+                    _id: '$supplier',
+                    billCount: { $sum: 1 },
+                    totalDue: { $sum: '$balanceDue' },
+                    overdueAmount: {
+                        $sum: { $cond: [{ $lt: ['$dueDate', now] }, '$balanceDue', 0] }
+                    },
+                    oldestDueDate: { $min: '$dueDate' },
+                    bills: {
+                        $push: {
+                            _id: '$_id',
+                            purchaseNumber: '$purchaseNumber',
+                            date: '$date',
+                            dueDate: '$dueDate',
+                            totalAmount: '$totalAmount',
+                            amountPaid: '$amountPaid',
+                            balanceDue: '$balanceDue',
+                            paymentStatus: '$paymentStatus'
+                        }
+                    }
+                }
+            },
+            { $sort: { totalDue: -1 } }
+        ]);
+
+        const contacts = await Contact.find({ _id: { $in: groups.map(group => group._id) } })
+            .select('name phone balance');
+        const contactById = new Map(contacts.map(contact => [contact._id.toString(), contact]));
+
+        const data = groups.map(group => ({
+            supplier: contactById.get(group._id.toString()) || { _id: group._id },
+            billCount: group.billCount,
+            totalDue: round2(group.totalDue),
+            overdueAmount: round2(group.overdueAmount),
+            oldestDueDate: group.oldestDueDate,
+            bills: group.bills
+        }));
+
+        res.json({
+            success: true,
+            count: data.length,
+            totalDue: round2(data.reduce((sum, row) => sum + row.totalDue, 0)),
+            overdueAmount: round2(data.reduce((sum, row) => sum + row.overdueAmount, 0)),
+            data
+        });
+    } catch (error) {
+        console.error('Get outstanding payables error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error fetching outstanding payables',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get single supplier payment
+// @route   GET /api/supplier-payments/:id
+// @access  Private
+const getSupplierPayment = async (req, res) => {
+    try {
+        const payment = await populatePayment(SupplierPayment.findById(req.params.id));
+        if (!payment) {
+            throw httpError(404, 'Supplier payment not found');
+        }
+
+        res.json({
+            success: true,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Get supplier payment error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error fetching supplier payment',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Pay a supplier and allocate the payment to purchase bills
+// @route   POST /api/supplier-payments
+// @access  Private
+const createSupplierPayment = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { supplier, amount, paymentMethod = 'cash', reference, date, allocations, notes } = req.body;
+        let payment;
+
+        const value = round2(parseFloat(amount));
+        if (!(value > 0)) {
+            throw httpError(400, 'Amount must be a positive number');
+        }
+        if (!paymentMethods.includes(paymentMethod)) {
+            throw httpError(400, `paymentMethod must be one of: ${paymentMethods.join(', ')}`);
+        }
+
+        const paymentDate = date ? new Date(date) : new Date();
+        if (isNaN(paymentDate.getTime())) {
+            throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+        }
+
+        await session.withTransaction(async () => {
+            const supplierDoc = await resolveSupplier(supplier, session);
+            const allocated = await allocatePayment(supplierDoc._id, value, allocations, session);
+
+            // Cash payments come out of the drawer of the user's open shift
+            const openShift = paymentMethod === 'cash' ? await Shift.findOpen(req.user.id, session) : null;
+
+            [payment] = await SupplierPayment.create([{
+                paymentNumber: await Counter.nextNumber('supplier_payment', paymentDate, session),
+                supplier: supplierDoc._id,
+                date: paymentDate,
+                amount: value,
+                paymentMethod,
+                reference,
+                allocations: allocated.allocations,
+                unallocatedAmount: allocated.unallocatedAmount,
+                notes,
+                shift: openShift ? openShift._id : null,
+                createdBy: req.user.id
+            }], { session });
+
+            await Ledger.postEntry({
+                contact: supplierDoc._id,
+                transactionType: 'receivable',
+                amount: value,
+                description: `Payment ${payment.paymentNumber} to ${supplierDoc.name}`,
+                reference: payment.paymentNumber,
+                date: paymentDate,
+                paymentMethod,
+                shift: payment.shift,
+                session
+            });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier payment recorded successfully',
+            data: await populatePayment(SupplierPayment.findById(payment._id))
+        });
+    } catch (error) {
+        console.error('Create supplier payment error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error recording supplier payment',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Delete supplier payment: bills become due again and the payable is restored
+// @route   DELETE /api/supplier-payments/:id
+// @access  Private/Admin
+const deleteSupplierPayment = async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+        await session.withTransaction(async () => {
+            const payment = await SupplierPayment.findById(req.params.id).session(session);
+            if (!payment) {
+                throw httpError(404, 'Supplier payment not found');
+            }
+
+            // A closed shift's cash count must not change after the fact
+            if (payment.shift) {
+                const shift = await Shift.findById(payment.shift).select('status').session(session);
+                if (shift && shift.status !== 'open') {
+                    throw httpError(400, 'The shift this payment was paid from is closed; it cannot be deleted');
+                }
+            }
+
+            for (const allocation of payment.allocations) {
+                const purchase = await Purchase.findById(allocation.purchase).session(session);
+                if (!purchase) continue;
+
+                purchase.amountPaid = round2(Math.max(purchase.amountPaid - allocation.amount, 0));
+                purchase.updatePaymentStatus();
+                await purchase.save({ session });
+            }
+
+            await Ledger.postEntry({
+                contact: payment.supplier,
+                transactionType: 'payable',
+                amount: payment.amount,
+                description: `Payment ${payment.paymentNumber} deleted`,
+                reference: payment.paymentNumber,
+                // Same drawer as the payment, so the shift's cash count nets it out
+                paymentMethod: payment.paymentMethod,
+                shift: payment.shift,
+                session
+            });
+
+            await payment.deleteOne({ session });
+        });
+
+        res.json({
+            success: true,
+            message: 'Supplier payment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete supplier payment error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Error deleting supplier payment',
+            error: error.message
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    getSupplierPayments,
+    getOutstandingPayables,
+    getSupplierPayment,
+    createSupplierPayment,
+    deleteSupplierPayment
+};
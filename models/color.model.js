@@ -20,6 +20,13 @@ const colorSchema = new mongoose.Schema({
         required: [true, 'Hex code is required'],
         match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color code']
     },
+    // Shade family used to group colors, e.g. for stock takes ("white", "blue")
+    family: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -33,10 +33,24 @@ const contactSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Running account balance, same convention as the ledger:
+  // positive = contact owes us (receivable), negative = we owe the contact (payable)
   balance: {
     type: Number,
     default: 0
   },
+  // Suppliers: days from placing an order to delivery; null uses the shop default
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: null
+  },
+  // Pricing tier for customers (retail, contractor, wholesale list)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,135 @@
+// models/costLayer.model.js - FIFO cost layer: a received batch of stock and what is left of it
+const mongoose = require('mongoose');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const costLayerSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null
+    },
+    // Layers are consumed oldest date first
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      enum: ['purchase', 'opening', 'migration', 'adjustment'],
+      default: 'purchase'
+    },
+    purchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Purchase',
+      default: null
+    },
+    receivedQuantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Received quantity cannot be negative']
+    },
+    remainingQuantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Remaining quantity cannot be negative']
+    },
+    // Cost per unit before tax (input tax is claimed back, see the tax report)
+    unitCost: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit cost cannot be negative']
+    }
+  },
+  { timestamps: true }
+);
+
+// Take quantity out of the oldest layers of a product + color.
+// Returns the parts taken ({ layer, quantity, unitCost }); stock that has no
+// layer left (e.g. recorded before cost layers) is costed at the product's
+// purchase price with layer null.
+costLayerSchema.statics.consume = async function({ product, color = null, quantity, session }) {
+  const parts = [];
+  let remaining = quantity;
+
+  const layers = await this.find({ product, color: color || null, remainingQuantity: { $gt: 0 } })
+    .sort({ date: 1, _id: 1 })
+    .session(session);
+
+  for (const layer of layers) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(remaining, layer.remainingQuantity);
+    const updated = await this.updateOne(
+      { _id: layer._id, remainingQuantity: { $gte: take } },
+      { $inc: { remainingQuantity: -take } },
+      { session }
+    );
+    if (updated.modifiedCount === 0) continue;
+
+    parts.push({ layer: layer._id, quantity: take, unitCost: layer.unitCost });
+    remaining = round2(remaining - take);
+  }
+
+  if (remaining > 0) {
+    const productDoc = await mongoose.model('Product').findById(product).select('purchasePrice').session(session);
+    parts.push({ layer: null, quantity: remaining, unitCost: productDoc ? productDoc.purchasePrice : 0 });
+  }
+
+  return parts;
+};
+
+// Put parts taken by consume() back into the layers they came from
+costLayerSchema.statics.restore = async function(parts, session) {
+  for (const part of parts) {
+    if (!part.layer) continue;
+    await this.updateOne(
+      { _id: part.layer },
+      { $inc: { remainingQuantity: part.quantity } },
+      { session }
+    );
+  }
+};
+
+// Take the given parts out of their own layers again (e.g. when a return is
+// deleted); whatever is no longer left there is consumed oldest-first instead
+costLayerSchema.statics.reconsume = async function({ product, color = null, parts, session }) {
+  const taken = [];
+  let shortfall = 0;
+
+  for (const part of parts) {
+    const layer = part.layer ? await this.findById(part.layer).session(session) : null;
+    const take = layer ? Math.min(part.quantity, layer.remainingQuantity) : 0;
+
+    if (take > 0) {
+      const updated = await this.updateOne(
+        { _id: layer._id, remainingQuantity: { $gte: take } },
+        { $inc: { remainingQuantity: -take } },
+        { session }
+      );
+      if (updated.modifiedCount > 0) {
+        taken.push({ layer: layer._id, quantity: take, unitCost: layer.unitCost });
+        shortfall += part.quantity - take;
+        continue;
+      }
+    }
+    shortfall += part.quantity;
+  }
+
+  if (shortfall > 0) {
+    taken.push(...await this.consume({ product, color, quantity: round2(shortfall), session }));
+  }
+  return taken;
+};
+
+costLayerSchema.index({ product: 1, color: 1, remainingQuantity: 1, date: 1 });
+costLayerSchema.index({ purchase: 1 });
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -0,0 +1,46 @@
+// models/counter.model.js - Atomic sequence counters for document numbers
+const mongoose = require('mongoose');
+const numbering = require('../config/numbering');
+
+const counterSchema = new mongoose.Schema({
+    // Series + period, e.g. "sale-2026" or "sale-20260415"
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Issue the next number of a series, e.g. AWP-2026-000123 (yearly) or AWP-20260415-0042 (daily).
+// Pass the caller's transaction session: an aborted transaction rolls the
+// increment back too, so numbers stay gap-free and unique under concurrency.
+counterSchema.statics.nextNumber = async function(seriesName, date = new Date(), session) {
+    const config = numbering[seriesName];
+    if (!config) {
+        throw new Error(`Unknown number series: ${seriesName}`);
+    }
+
+    const d = new Date(date);
+    const year = String(d.getFullYear());
+    const daily = config.reset === 'daily';
+    const period = daily ? `${year}${pad(d.getMonth() + 1, 2)}${pad(d.getDate(), 2)}` : year;
+    const key = `${seriesName}-${period}`;
+
+    // Create the counter outside the transaction so concurrent first uses don't collide
+    await this.updateOne({ _id: key }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+
+    const counter = await this.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true, session }
+    );
+
+    return `${config.prefix}-${period}-${pad(counter.seq, daily ? 4 : 6)}`;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
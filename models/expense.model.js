@@ -1,5 +1,6 @@
 // models/expense.model.js
 const mongoose = require('mongoose');
+const paymentMethods = require('../config/paymentMethods');
 
 const expenseSchema = new mongoose.Schema({
     date: {
@@ -22,6 +23,17 @@ const expenseSchema = new mongoose.Schema({
         enum: ['rent', 'utilities', 'salary', 'maintenance', 'other'],
         default: 'other'
     },
+    paymentMethod: {
+        type: String,
+        enum: paymentMethods,
+        default: 'cash'
+    },
+    // Cashier shift the expense was paid from (cash expenses only)
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -33,5 +45,6 @@ const expenseSchema = new mongoose.Schema({
 
 // Index for date-based queries
 expenseSchema.index({ date: -1 });
+expenseSchema.index({ shift: 1 });
 
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
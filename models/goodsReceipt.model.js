@@ -0,0 +1,106 @@
+// models/goodsReceipt.model.js - Goods received note (GRN) against a purchase order
+const mongoose = require('mongoose');
+const landedChargeCategories = require('../config/landedCharges');
+
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      required: true
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    // Supplier's delivery challan / bill number
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    items: [
+      {
+        // Line of the purchase order this quantity was received against
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        color: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Color',
+          default: null
+        },
+        quantity: {
+          type: Number,
+          required: [true, 'Quantity is required'],
+          min: [1, 'Quantity must be at least 1']
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: [0, 'Unit price cannot be negative']
+        },
+        // Share of the receipt's charges allocated to this line
+        landedCost: {
+          type: Number,
+          default: 0,
+          min: [0, 'Landed cost cannot be negative']
+        },
+        // Purchase record that put this quantity into stock
+        purchase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Purchase'
+        }
+      }
+    ],
+    // Freight, loading and unloading for the whole delivery, spread over the
+    // lines by their value or their quantity
+    charges: [
+      {
+        _id: false,
+        category: { type: String, enum: landedChargeCategories, default: 'other' },
+        description: { type: String, trim: true },
+        amount: { type: Number, required: true, min: [0, 'Charge amount cannot be negative'] }
+      }
+    ],
+    allocationMethod: {
+      type: String,
+      enum: ['value', 'quantity'],
+      default: 'value'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+goodsReceiptSchema.index({ purchaseOrder: 1, date: 1 });
+goodsReceiptSchema.index({ date: -1 });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
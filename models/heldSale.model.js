@@ -0,0 +1,100 @@
+// models/heldSale.model.js - Parked sale at the counter, finalized later through createSale
+const mongoose = require('mongoose');
+
+const heldSaleSchema = new mongoose.Schema(
+  {
+    // Short note to find the sale again, e.g. "Customer choosing a blue shade"
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        color: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Color',
+          default: null
+        },
+        quantity: {
+          type: Number,
+          required: [true, 'Quantity is required'],
+          min: [0.1, 'Quantity must be at least 0.1']
+        },
+        unitPrice: {
+          type: Number,
+          min: [0, 'Unit price cannot be negative']
+        },
+        discount: {
+          type: Number,
+          default: 0,
+          min: [0, 'Discount cannot be negative'],
+          max: [100, 'Discount cannot exceed 100%']
+        },
+        // 'manual' prices are kept on finalize, others are priced again
+        priceSource: {
+          type: String,
+          enum: ['product', 'price_list', 'customer', 'manual'],
+          default: 'product'
+        }
+      }
+    ],
+    // Invoice-level discount in percent
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['held', 'completed', 'cancelled'],
+      default: 'held'
+    },
+    // True while the items are counted in Inventory.reservedQuantity
+    stockReserved: {
+      type: Boolean,
+      default: false
+    },
+    reservedUntil: {
+      type: Date
+    },
+    // Invoice created when the held sale was finalized
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+heldSaleSchema.index({ createdBy: 1, status: 1, createdAt: -1 });
+heldSaleSchema.index({ stockReserved: 1, reservedUntil: 1 });
+
+module.exports = mongoose.model('HeldSale', heldSaleSchema);
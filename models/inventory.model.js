@@ -1,5 +1,9 @@
 // models/inventory.model.js
 const mongoose = require('mongoose');
+const StockMovement = require('./stockMovement.model');
+const httpError = require('../utils/httpError');
+
+const round4 = (value) => parseFloat(value.toFixed(4));
 
 const inventorySchema = new mongoose.Schema({
     product: {
@@ -18,11 +22,30 @@ const inventorySchema = new mongoose.Schema({
         min: 0,
         default: 0
     },
+    // Soft reservation by held sales; new sales can only take quantity - reservedQuantity
+    reservedQuantity: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Moving weighted average cost per unit (before tax), revalued on every
+    // purchase-side movement; null until the first one after it was introduced
+    averageCost: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     minStockLevel: {
         type: Number,
         min: 0,
         default: 5
     },
+    // Level reorder suggestions fill up to; null derives it from sales velocity
+    maxStockLevel: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     lastUpdated: {
         type: Date,
         default: Date.now
@@ -42,4 +65,121 @@ inventorySchema.index({ product: 1, color: 1 }, { unique: true });
 // Optional: helpful for queries
 inventorySchema.index({ quantity: 1 });
 
+// Apply a signed quantity change to one product + color row and journal it as a
+// stock movement. Deductions never drive stock negative; additions create the row
+// if missing. reference: { model, id, number } of the document behind the change.
+inventorySchema.statics.adjustStock = async function({
+    product,
+    color = null,
+    quantity,
+    userId,
+    session,
+    type = 'adjustment',
+    reference = {},
+    note
+}) {
+    const filter = { product, color: color || null };
+    if (quantity < 0) filter.quantity = { $gte: -quantity };
+
+    const inventory = await this.findOneAndUpdate(
+        filter,
+        {
+            $inc: { quantity },
+            $set: { lastUpdated: new Date(), updatedBy: userId }
+        },
+        { new: true, upsert: quantity > 0, session }
+    );
+
+    if (!inventory) {
+        const current = await this.findOne({ product, color: color || null }).session(session);
+        throw httpError(400, `Insufficient stock. Available: ${current ? current.quantity : 0}`);
+    }
+
+    await StockMovement.create([{
+        inventory: inventory._id,
+        product,
+        color: color || null,
+        type,
+        quantity,
+        balanceAfter: inventory.quantity,
+        referenceModel: reference.model,
+        referenceId: reference.id,
+        reference: reference.number,
+        note,
+        user: userId
+    }], { session });
+
+    return inventory;
+};
+
+// Average cost per unit of a stock row. Rows not revalued yet fall back to
+// their FIFO layers, then to the product's purchase price.
+inventorySchema.methods.getAverageCost = async function(session) {
+    if (this.averageCost !== null && this.averageCost !== undefined) return this.averageCost;
+
+    const layers = await mongoose.model('CostLayer')
+        .find({ product: this.product, color: this.color || null, remainingQuantity: { $gt: 0 } })
+        .session(session);
+    const layered = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+    if (layered > 0) {
+        const value = layers.reduce((sum, layer) => sum + layer.remainingQuantity * layer.unitCost, 0);
+        return round4(value / layered);
+    }
+
+    const product = await mongoose.model('Product').findById(this.product).select('purchasePrice').session(session);
+    return product ? product.purchasePrice : 0;
+};
+
+// Revalue the moving average cost of a product + color after stock moved in or
+// out at a known cost (purchases, purchase edits/deletes, returns to supplier).
+// moves: [{ quantity (signed), unitCost }], already applied to the row's quantity.
+inventorySchema.statics.updateAverageCost = async function({ product, color = null, moves, session }) {
+    const inventory = await this.findOne({ product, color: color || null }).session(session);
+    if (!inventory) return null;
+
+    const moved = moves.reduce((sum, move) => sum + move.quantity, 0);
+    const before = inventory.quantity - moved;
+    const currentCost = before > 0 ? await inventory.getAverageCost(session) : 0;
+    const value = Math.max(before, 0) * currentCost +
+        moves.reduce((sum, move) => sum + move.quantity * move.unitCost, 0);
+
+    // Nothing left in stock: keep the last average for when stock comes back
+    if (inventory.quantity <= 0) return inventory;
+
+    inventory.averageCost = round4(Math.max(value, 0) / inventory.quantity);
+    await this.updateOne({ _id: inventory._id }, { $set: { averageCost: inventory.averageCost } }, { session });
+    return inventory;
+};
+
+// Reserve (positive) or release (negative) stock for a held sale.
+// Reserving needs unreserved stock; releasing never goes below zero.
+inventorySchema.statics.reserveStock = async function({ product, color = null, quantity, session }) {
+    const filter = { product, color: color || null };
+
+    if (quantity < 0) {
+        return this.findOneAndUpdate(
+            filter,
+            [{ $set: { reservedQuantity: { $max: [0, { $add: [{ $ifNull: ['$reservedQuantity', 0] }, quantity] }] } } }],
+            { new: true, session, updatePipeline: true }
+        );
+    }
+
+    const inventory = await this.findOneAndUpdate(
+        {
+            ...filter,
+            $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity] }
+        },
+        { $inc: { reservedQuantity: quantity } },
+        { new: true, session }
+    );
+
+    if (!inventory) {
+        const current = await this.findOne(filter).session(session);
+        const available = current ? current.quantity - (current.reservedQuantity || 0) : 0;
+        throw httpError(400, `Insufficient stock to reserve. Available: ${Math.max(available, 0)}`);
+    }
+
+    return inventory;
+};
+
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
@@ -0,0 +1,227 @@
+// models/invoice.model.js - Sale invoice header (line items live in the Sale collection)
+const mongoose = require('mongoose');
+const paymentMethods = require('../config/paymentMethods');
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      default: 'Walk-in Customer',
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    // Sum of line amounts after line discounts, before the invoice discount
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Subtotal cannot be negative']
+    },
+    // Invoice-level discount in percent, applied on top of line discounts
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount amount cannot be negative']
+    },
+    // Sales tax on the lines (already part of totalAmount)
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative']
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total amount cannot be negative']
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount paid cannot be negative']
+    },
+    // Split tender: sum of payments is amountPaid (refunds for returns)
+    payments: [
+      {
+        method: {
+          type: String,
+          enum: paymentMethods,
+          required: true
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, 'Payment amount must be greater than 0']
+        },
+        reference: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Payment reference cannot exceed 100 characters']
+        }
+      }
+    ],
+    // Unpaid part of the invoice, posted to the customer's receivable balance
+    creditAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit amount cannot be negative']
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['paid', 'partial', 'unpaid'],
+      default: 'paid'
+    },
+    // 'return' invoices are credit notes: amountPaid is the cash refunded and
+    // creditAmount the amount credited back to the customer's account
+    saleType: {
+      type: String,
+      enum: ['daily', 'bulk', 'return'],
+      default: 'daily'
+    },
+    originalInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    refundMethod: {
+      type: String,
+      enum: [...paymentMethods, 'credit']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Cashier shift that was open when the invoice was recorded
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null
+    },
+    // Who changed the invoice header after it was recorded
+    editHistory: [
+      {
+        editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        editedAt: { type: Date, default: Date.now },
+        changes: [
+          {
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+          }
+        ]
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Line items of this invoice
+invoiceSchema.virtual('items', {
+  ref: 'Sale',
+  localField: '_id',
+  foreignField: 'invoice',
+  options: { sort: { _id: 1 } }
+});
+
+// Derive payment status from amount paid vs total
+invoiceSchema.methods.updatePaymentStatus = function() {
+  if (this.amountPaid >= this.totalAmount) {
+    this.paymentStatus = 'paid';
+  } else if (this.amountPaid > 0) {
+    this.paymentStatus = 'partial';
+  } else {
+    this.paymentStatus = 'unpaid';
+  }
+  return this.paymentStatus;
+};
+
+// Amount received per payment method (returns count negative) plus
+// the amount left on customer credit, for cash-drawer reconciliation
+invoiceSchema.statics.getPaymentBreakdown = async function(startDate, endDate) {
+  const [result] = await this.aggregate([
+    { $match: { date: { $gte: startDate, $lte: endDate } } },
+    {
+      $project: {
+        sign: { $cond: [{ $eq: ['$saleType', 'return'] }, -1, 1] },
+        creditAmount: 1,
+        // Invoices recorded without payment lines were paid in cash
+        payments: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+            '$payments',
+            [{ method: 'cash', amount: '$amountPaid' }]
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        methods: [
+          { $unwind: '$payments' },
+          {
+            $group: {
+              _id: '$payments.method',
+              amount: { $sum: { $multiply: ['$payments.amount', '$sign'] } }
+            }
+          }
+        ],
+        credit: [
+          { $group: { _id: null, amount: { $sum: { $multiply: ['$creditAmount', '$sign'] } } } }
+        ]
+      }
+    }
+  ]);
+
+  const breakdown = {};
+  paymentMethods.forEach(method => { breakdown[method] = 0; });
+  result.methods.forEach(({ _id, amount }) => {
+    breakdown[_id] = parseFloat(amount.toFixed(2));
+  });
+  breakdown.credit = result.credit.length > 0 ? parseFloat(result.credit[0].amount.toFixed(2)) : 0;
+
+  return breakdown;
+};
+
+invoiceSchema.index({ date: -1 });
+invoiceSchema.index({ createdBy: 1, date: -1 });
+invoiceSchema.index({ customer: 1, date: -1 });
+invoiceSchema.index({ originalInvoice: 1 });
+invoiceSchema.index({ shift: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
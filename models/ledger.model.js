@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const paymentMethods = require('../config/paymentMethods');
 
 // Ledger Schema
 const ledgerSchema = new mongoose.Schema(
@@ -12,6 +13,16 @@ const ledgerSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null,
+    },
+    // Source document number (e.g. invoice number) for automatic postings
+    reference: {
+      type: String,
+      trim: true,
+    },
     description: {
       type: String,
       required: false,
@@ -41,6 +52,18 @@ const ledgerSchema = new mongoose.Schema(
       enum: ['pending', 'completed', 'cancelled'],
       default: 'pending',
     },
+    // How money changed hands, if it did; cash entries count towards the
+    // drawer of the shift they are attributed to
+    paymentMethod: {
+      type: String,
+      enum: [...paymentMethods, null],
+      default: null,
+    },
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -50,5 +73,41 @@ const ledgerSchema = new mongoose.Schema(
 // Index for better query performance
 ledgerSchema.index({ date: -1, vendor: 1 });
 ledgerSchema.index({ vendor: 1 });
+ledgerSchema.index({ contact: 1, date: -1 });
+ledgerSchema.index({ shift: 1 });
+
+// Post an entry against a contact and move its running balance.
+// receivable raises the balance (contact owes us more), payable lowers it.
+ledgerSchema.statics.postEntry = async function ({ contact, transactionType, amount, description, reference, date, paymentMethod, shift, session }) {
+  const Contact = mongoose.model('Contact');
+  const change = transactionType === 'receivable' ? amount : -amount;
+
+  const updatedContact = await Contact.findByIdAndUpdate(
+    contact,
+    { $inc: { balance: change } },
+    { new: true, session }
+  );
+  if (!updatedContact) {
+    throw new Error('Contact not found for ledger posting');
+  }
+
+  const closingBalance = parseFloat(updatedContact.balance.toFixed(2));
+  const [entry] = await this.create([{
+    vendor: updatedContact.name,
+    contact: updatedContact._id,
+    transactionType,
+    amount,
+    description,
+    reference,
+    paymentMethod: paymentMethod || null,
+    shift: shift || null,
+    date: date || new Date(),
+    openingBalance: parseFloat((closingBalance - change).toFixed(2)),
+    closingBalance,
+    status: 'completed',
+  }], { session });
+
+  return entry;
+};
 
 module.exports = mongoose.model('Ledger', ledgerSchema);
\ No newline at end of file
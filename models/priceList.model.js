@@ -0,0 +1,89 @@
+// models/priceList.model.js - Price tiers (retail, contractor, wholesale) and per-customer prices
+const mongoose = require('mongoose');
+
+const priceListSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Price list name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // 'customer' lists hold the prices agreed with one customer and win over the tier
+    tier: {
+      type: String,
+      enum: ['retail', 'contractor', 'wholesale', 'customer'],
+      required: [true, 'Price list tier is required']
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
+    // Percent off Product.salePrice for products without their own entry
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    },
+    // Product prices; several entries per product make quantity breaks
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        // Entry applies from this line quantity upwards
+        minQuantity: {
+          type: Number,
+          default: 1,
+          min: [0, 'Minimum quantity cannot be negative']
+        },
+        unitPrice: {
+          type: Number,
+          required: [true, 'Unit price is required'],
+          min: [0, 'Unit price cannot be negative']
+        },
+        discount: {
+          type: Number,
+          default: 0,
+          min: [0, 'Discount cannot be negative'],
+          max: [100, 'Discount cannot exceed 100%']
+        }
+      }
+    ],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+// Entry for a product at a quantity: the highest quantity break reached
+priceListSchema.methods.findEntry = function(productId, quantity) {
+  return this.items
+    .filter(entry => String(entry.product) === String(productId) && entry.minQuantity <= quantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+};
+
+priceListSchema.index({ tier: 1, isActive: 1 });
+// At most one active customer list per customer
+priceListSchema.index(
+  { customer: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, customer: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -1,6 +1,9 @@
 // models/product.model.js 
 const mongoose = require('mongoose');
 
+// Pack sizes; the one list other modules (settings, stock takes) validate against
+const PRODUCT_TYPES = ['gallon', 'dibbi', 'quarter', 'p', 'other', 'drum'];
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -9,7 +12,7 @@ const productSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['gallon', 'dibbi', 'quarter', 'p', 'other', 'drum'],
+        enum: PRODUCT_TYPES,
         required: [true, 'Product type is required']
     },
     purchasePrice: {
@@ -28,6 +31,19 @@ const productSchema = new mongoose.Schema({
         min: 0,
         max: 100
     },
+    // Sales tax percent for this product; null uses the rate for its type (see settings)
+    taxRate: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 100
+    },
+    // Supplier reorder suggestions order from; null uses the last supplier bought from
+    preferredSupplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+        default: null
+    },
     code: {
         type: String,
         trim: true,
@@ -61,4 +77,6 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 1, type: 1, isActive: 1 });
 productSchema.index({ code: 1 }, { sparse: true });
 
+productSchema.statics.PRODUCT_TYPES = PRODUCT_TYPES;
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -1,29 +1,15 @@
 // models/purchase.model.js
 const mongoose = require('mongoose');
-
-// Helper: retry on WriteConflict (code 112) or TransientTransactionError
-const withRetry = async (operation, maxRetries = 5) => {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await operation();
-    } catch (error) {
-      const isWriteConflict =
-        error.code === 112 ||
-        error.codeName === 'WriteConflict' ||
-        error.errorLabels?.includes('TransientTransactionError');
-
-      if (isWriteConflict && i < maxRetries - 1) {
-        // Exponential backoff
-        await new Promise((res) => setTimeout(res, 100 * (i + 1)));
-        continue;
-      }
-      throw error; 
-    }
-  }
-};
+const landedChargeCategories = require('../config/landedCharges');
 
 const purchaseSchema = new mongoose.Schema(
   {
+    // Sequential purchase number from the counters collection
+    purchaseNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     date: {
       type: Date,
       required: [true, 'Purchase date is required'],
@@ -40,8 +26,13 @@ const purchaseSchema = new mongoose.Schema(
       required: false,
     },
     supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: [true, 'Supplier is required'],
+    },
+    // Supplier name at the time of purchase, kept for search and printing
+    supplierName: {
       type: String,
-      required: [true, 'Supplier name is required'],
       trim: true,
       maxlength: [100, 'Supplier name cannot exceed 100 characters'],
     },
@@ -55,11 +46,92 @@ const purchaseSchema = new mongoose.Schema(
       required: [true, 'Unit price is required'],
       min: [0, 'Unit price cannot be negative'],
     },
+    // Input tax on the purchase; unitPrice includes it when taxInclusive
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative'],
+    },
     totalAmount: {
       type: Number,
       required: [true, 'Total amount is required'],
       min: [0, 'Total amount cannot be negative'],
     },
+    // Freight, loading and unloading paid to bring the goods in. They are not
+    // part of the supplier bill; they only raise the cost of the stock.
+    charges: [
+      {
+        _id: false,
+        category: { type: String, enum: landedChargeCategories, default: 'other' },
+        description: { type: String, trim: true },
+        amount: { type: Number, required: true, min: [0, 'Charge amount cannot be negative'] },
+      },
+    ],
+    // Charges carried by this purchase: its own, or its share of the goods receipt's
+    landedCost: {
+      type: Number,
+      default: 0,
+      min: [0, 'Landed cost cannot be negative'],
+    },
+    // Unit price plus landed cost per unit
+    effectiveUnitCost: {
+      type: Number,
+      default: 0,
+    },
+    // Paid on the bill itself or through supplier payments allocated to it
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount paid cannot be negative'],
+    },
+    // Unpaid part of the bill, posted to the supplier's payable balance.
+    // Purchases recorded before payables were tracked count as paid.
+    balanceDue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Balance due cannot be negative'],
+    },
+    dueDate: {
+      type: Date,
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['paid', 'partial', 'unpaid'],
+      default: 'paid',
+    },
+    // Sent back to the supplier on purchase returns (debit notes); the
+    // returned amount comes off the balance due before any supplier credit
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Returned quantity cannot be negative'],
+    },
+    returnedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Returned amount cannot be negative'],
+    },
+    // Set when the purchase was booked from a goods receipt against a purchase order
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      default: null,
+    },
+    goodsReceipt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GoodsReceipt',
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -69,95 +141,39 @@ const purchaseSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Auto-sync inventory on save (create or update)
-// purchaseSchema.post('save', async function (doc) {
-//   try {
-//     await withRetry(async () => {
-//       const Inventory = mongoose.model('Inventory');
-//       const filter = { product: doc.product };
-//       if (doc.color) filter.color = doc.color;
-
-//       await Inventory.findOneAndUpdate(
-//         filter,
-//         {
-//           $inc: { quantity: doc.quantity },
-//           lastUpdated: new Date(),
-//           updatedBy: doc.createdBy,
-//         },
-//         { upsert: true, new: true }
-//       );
-//     });
-//     console.log('Inventory updated successfully for purchase:', doc._id);
-//   } catch (error) {
-//     console.error('Failed to update inventory (purchase save):', error.message);
-//   }
-// });
-// Add this middleware to handle updates
-purchaseSchema.post('findOneAndUpdate', async function(doc) {
-    if (!doc) return;
-
-    try {
-        const update = this.getUpdate();
-
-        // Only run if quantity or unitPrice changed
-        if (update.quantity !== undefined || update.unitPrice !== undefined) {
-            const qtyDiff = (update.quantity || doc.quantity) - doc.quantity;
-            const newUnitPrice = update.unitPrice || doc.unitPrice;
+// Inventory, cost layer and product price are updated by utils/purchase.js inside the
+// purchase transaction; quantity stays as bought (sales consume CostLayer, not purchases)
 
-            // Update inventory quantity
-            if (qtyDiff !== 0) {
-                await Inventory.findOneAndUpdate(
-                    { product: doc.product, color: doc.color || null },
-                    { 
-                        $inc: { quantity: qtyDiff },
-                        lastUpdated: new Date(),
-                        updatedBy: doc.createdBy // or use current user if available
-                    },
-                    { upsert: true }
-                );
-            }
-
-            // Update product's latest purchase price
-            if (update.unitPrice !== undefined) {
-                await Product.findByIdAndUpdate(doc.product, {
-                    purchasePrice: newUnitPrice
-                });
-            }
-
-            // Trigger frontend refresh
-            // Note: This won't work in backend directly, better to do it in controller
-        }
-    } catch (err) {
-        console.error('Purchase update middleware error:', err);
-    }
+// Pre-save: landed cost of a purchase entered on its own is the sum of its charges
+// (goods receipts allocate theirs), spread over the quantity bought
+purchaseSchema.pre('save', function() {
+  if (!this.goodsReceipt) {
+    this.landedCost = parseFloat(this.charges.reduce((sum, charge) => sum + charge.amount, 0).toFixed(2));
+  }
+  this.effectiveUnitCost = this.quantity > 0
+    ? parseFloat((this.unitPrice + (this.landedCost || 0) / this.quantity).toFixed(4))
+    : this.unitPrice;
 });
-// Auto-revert inventory on delete
-purchaseSchema.post('findOneAndDelete', async function (doc) {
-  if (!doc) return;
-  try {
-    await withRetry(async () => {
-      const Inventory = mongoose.model('Inventory');
-      const filter = { product: doc.product };
-      if (doc.color) filter.color = doc.color;
 
-      await Inventory.findOneAndUpdate(
-        filter,
-        {
-          $inc: { quantity: -doc.quantity },
-          lastUpdated: new Date(),
-        }
-      );
-    });
-    console.log('Inventory reverted after purchase deletion:', doc._id);
-  } catch (error) {
-    console.error('Failed to revert inventory (purchase delete):', error.message);
+// Derive balance due and payment status from amount paid and returned vs total
+purchaseSchema.methods.updatePaymentStatus = function() {
+  this.balanceDue = parseFloat(Math.max(this.totalAmount - this.amountPaid - (this.returnedAmount || 0), 0).toFixed(2));
+  if (this.balanceDue === 0) {
+    this.paymentStatus = 'paid';
+  } else if (this.amountPaid > 0) {
+    this.paymentStatus = 'partial';
+  } else {
+    this.paymentStatus = 'unpaid';
   }
-});
+  return this.paymentStatus;
+};
 
 // Indexes
 purchaseSchema.index({ date: -1 });
 purchaseSchema.index({ product: 1 });
-purchaseSchema.index({ supplier: 1 });
+purchaseSchema.index({ supplier: 1, date: -1 });
 purchaseSchema.index({ createdBy: 1 });
+purchaseSchema.index({ purchaseOrder: 1 });
+purchaseSchema.index({ supplier: 1, paymentStatus: 1, dueDate: 1 });
 
 module.exports = mongoose.model('Purchase', purchaseSchema);
\ No newline at end of file
@@ -0,0 +1,121 @@
+// models/purchaseOrder.model.js - Order placed with a supplier, received through goods receipts
+const mongoose = require('mongoose');
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: [true, 'Supplier is required']
+    },
+    supplierName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Supplier name cannot exceed 100 characters']
+    },
+    expectedDate: {
+      type: Date
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        color: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Color',
+          default: null
+        },
+        quantity: {
+          type: Number,
+          required: [true, 'Quantity is required'],
+          min: [1, 'Quantity must be at least 1']
+        },
+        // Running total of the goods receipts against this line
+        receivedQuantity: {
+          type: Number,
+          default: 0,
+          min: [0, 'Received quantity cannot be negative']
+        },
+        unitPrice: {
+          type: Number,
+          required: [true, 'Unit price is required'],
+          min: [0, 'Unit price cannot be negative']
+        }
+      }
+    ],
+    // Ordered value before tax
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total amount cannot be negative']
+    },
+    // partially_received / received are set by goods receipts, never by hand
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+      default: 'draft'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Goods receipts booked against this order
+purchaseOrderSchema.virtual('receipts', {
+  ref: 'GoodsReceipt',
+  localField: '_id',
+  foreignField: 'purchaseOrder',
+  options: { sort: { date: 1 } }
+});
+
+purchaseOrderSchema.pre('save', function() {
+  this.totalAmount = parseFloat(
+    this.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0).toFixed(2)
+  );
+});
+
+// Derive the receiving status from the received quantities
+purchaseOrderSchema.methods.updateReceiptStatus = function() {
+  const received = this.items.filter(item => item.receivedQuantity > 0).length;
+  const complete = this.items.every(item => item.receivedQuantity >= item.quantity);
+
+  if (complete) {
+    this.status = 'received';
+  } else if (received > 0) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+purchaseOrderSchema.index({ date: -1 });
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ supplier: 1, date: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,104 @@
+// models/purchaseReturn.model.js - Goods sent back to the supplier (debit note) against a purchase
+const mongoose = require('mongoose');
+
+const purchaseReturnSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    returnNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    purchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Purchase',
+      required: true
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: true
+    },
+    supplierName: {
+      type: String,
+      trim: true
+    },
+    // Product, color and price are copied from the purchase
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative']
+    },
+    // Amount debited to the supplier: comes off the purchase's balance due,
+    // anything beyond that is left as credit on the supplier's balance
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Total amount cannot be negative']
+    },
+    // Cost layers the returned stock was taken from (the purchase's own layer first)
+    costLayers: [
+      {
+        _id: false,
+        layer: { type: mongoose.Schema.Types.ObjectId, ref: 'CostLayer', default: null },
+        quantity: { type: Number, required: true },
+        unitCost: { type: Number, required: true }
+      }
+    ],
+    reason: {
+      type: String,
+      enum: ['damaged', 'wrong_item', 'wrong_shade', 'expired', 'excess', 'other'],
+      default: 'other'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+purchaseReturnSchema.index({ date: -1 });
+purchaseReturnSchema.index({ purchase: 1 });
+purchaseReturnSchema.index({ supplier: 1, date: -1 });
+
+module.exports = mongoose.model('PurchaseReturn', purchaseReturnSchema);
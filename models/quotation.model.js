@@ -0,0 +1,179 @@
+// models/quotation.model.js - Price quote for a customer; does not touch stock until converted
+const mongoose = require('mongoose');
+const Sale = require('./sale.model');
+
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Color',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.1, 'Quantity must be at least 0.1']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  priceSource: {
+    type: String,
+    enum: ['product', 'price_list', 'customer', 'manual'],
+    default: 'product'
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  // Line total after the line discount, the quotation discount and tax
+  totalAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total amount cannot be negative']
+  }
+});
+
+const quotationSchema = new mongoose.Schema(
+  {
+    quotationNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    validUntil: {
+      type: Date,
+      required: [true, 'Validity date is required']
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      default: 'Walk-in Customer',
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    items: {
+      type: [quotationItemSchema],
+      validate: [items => items.length > 0, 'Please provide at least one item']
+    },
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Subtotal cannot be negative']
+    },
+    // Quotation-level discount in percent, applied on top of line discounts
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount amount cannot be negative']
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative']
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total amount cannot be negative']
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'accepted', 'rejected', 'expired', 'converted'],
+      default: 'draft'
+    },
+    // Sale invoice created from this quotation
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    convertedAt: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+// Recalculate line totals and quotation totals
+quotationSchema.pre('save', function() {
+  let subtotal = 0;
+  let taxAmount = 0;
+  let totalAmount = 0;
+
+  for (const item of this.items) {
+    const amounts = Sale.calculateAmounts({ ...item.toObject(), invoiceDiscount: this.discount });
+    item.taxAmount = amounts.taxAmount;
+    item.totalAmount = amounts.totalAmount;
+    subtotal += item.quantity * item.unitPrice * (1 - item.discount / 100);
+    taxAmount += item.taxAmount;
+    totalAmount += item.totalAmount;
+  }
+
+  this.subtotal = parseFloat(subtotal.toFixed(2));
+  this.discountAmount = parseFloat((subtotal * this.discount / 100).toFixed(2));
+  this.taxAmount = parseFloat(taxAmount.toFixed(2));
+  this.totalAmount = parseFloat(totalAmount.toFixed(2));
+});
+
+// Mark open quotations whose validity date has passed as expired
+quotationSchema.statics.expireOverdue = function() {
+  return this.updateMany(
+    { status: { $in: ['draft', 'sent', 'accepted'] }, validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+quotationSchema.index({ date: -1 });
+quotationSchema.index({ customer: 1, date: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -1,5 +1,6 @@
-// models/sale.model.js - FINAL FIXED VERSION (Deduct from BOTH Inventory & Purchase)
+// models/sale.model.js - Sale line item (one product + color per document)
 const mongoose = require('mongoose');
+const { splitTax } = require('../utils/tax');
 
 const saleSchema = new mongoose.Schema(
   {
@@ -35,20 +36,102 @@ const saleSchema = new mongoose.Schema(
       min: [0, 'Discount cannot be negative'],
       max: [100, 'Discount cannot exceed 100%'],
     },
+    // Where unitPrice/discount came from: product price, a price list,
+    // the customer's own prices, or typed in at the counter
+    priceSource: {
+      type: String,
+      enum: ['product', 'price_list', 'customer', 'manual'],
+      default: 'manual'
+    },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList',
+      default: null
+    },
+    // Sales tax percent and whether unitPrice already includes it
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative'],
+    },
     totalAmount: {
       type: Number,
       required: [true, 'Total amount is required'],
       min: [0, 'Total amount cannot be negative'],
     },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      index: true
+    },
+    // Copy of the invoice-level discount (percent) so the line total is self-contained
+    invoiceDiscount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+    },
     invoiceReference: {
       type: String,
       index: true
     },
+    // Return lines point at the sale line they return
+    returnOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      default: null
+    },
+    // Quantity of this line already taken back through returns
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // FIFO cost layers the quantity was taken from (put back into, for
+    // return lines) and the resulting cost of goods sold, before tax.
+    // unitCost is the average cost instead when the shop uses average costing.
+    costLayers: [
+      {
+        _id: false,
+        layer: { type: mongoose.Schema.Types.ObjectId, ref: 'CostLayer', default: null },
+        quantity: { type: Number, required: true },
+        unitCost: { type: Number, required: true },
+      },
+    ],
+    costOfGoods: {
+      type: Number,
+      default: 0,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Who changed what on this line after it was recorded
+    editHistory: [
+      {
+        editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        editedAt: { type: Date, default: Date.now },
+        changes: [
+          {
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+          },
+        ],
+      },
+    ],
     saleType: {
       type: String,
       enum: ['daily', 'bulk', 'return'],
@@ -58,97 +141,24 @@ const saleSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Pre-save: Calculate total + generate invoice reference
-saleSchema.pre('save', function() {
-  this.totalAmount = parseFloat((this.quantity * this.unitPrice * (1 - this.discount / 100)).toFixed(2));
-  
-  if (!this.invoiceReference) {
-    const date = new Date(this.date);
-    const dateStr = date.toISOString().split('T')[0].replace(/-/g, '');
-    const random = Math.floor(1000 + Math.random() * 9000);
-    this.invoiceReference = `SALE-${dateStr}-${random}`;
-  }
-});
-
-// POST-SAVE: Deduct from BOTH Inventory AND Purchase (FIFO logic)
-saleSchema.post('save', async function(doc) {
-  try {
-    const Inventory = mongoose.model('Inventory');
-    const Purchase = mongoose.model('Purchase');
-
-    const filter = { product: doc.product };
-    if (doc.color) filter.color = doc.color;
-
-    let remainingQty = doc.quantity;
-
-    // 1. Deduct from Inventory (current stock)
-    await Inventory.findOneAndUpdate(
-      filter,
-      { 
-        $inc: { quantity: -doc.quantity },
-        lastUpdated: new Date(),
-        updatedBy: doc.createdBy
-      },
-      { upsert: true }
-    );
-
-    // 2. Deduct from Purchase records (FIFO - oldest first)
-    const purchases = await Purchase.find(filter)
-      .sort({ date: 1 }) // Oldest first
-      .select('_id quantity');
-
-    for (const purchase of purchases) {
-      if (remainingQty <= 0) break;
-
-      const deduct = Math.min(remainingQty, purchase.quantity);
-      await Purchase.findByIdAndUpdate(purchase._id, {
-        $inc: { quantity: -deduct }
-      });
-
-      remainingQty -= deduct;
-    }
-
-    if (remainingQty > 0) {
-      console.warn(`Warning: Could not deduct ${remainingQty} units from purchase history (Product ID: ${doc.product})`);
-    }
+// Line amounts: line discount first, then the invoice-level discount, then tax
+saleSchema.statics.calculateAmounts = function({ quantity, unitPrice, discount = 0, invoiceDiscount = 0, taxRate = 0, taxInclusive = false }) {
+  const lineAmount = quantity * unitPrice * (1 - discount / 100);
+  return splitTax(lineAmount * (1 - invoiceDiscount / 100), taxRate, taxInclusive);
+};
 
-    console.log(`Sale deducted: ${doc.quantity} units from stock & purchase records`);
+saleSchema.statics.calculateTotal = function(line) {
+  return this.calculateAmounts(line).totalAmount;
+};
 
-  } catch (error) {
-    console.error('Failed to deduct from inventory/purchase on sale:', error);
-  }
+// Pre-save: Calculate total and tax
+saleSchema.pre('save', function() {
+  const { taxAmount, totalAmount } = this.constructor.calculateAmounts(this);
+  this.taxAmount = taxAmount;
+  this.totalAmount = totalAmount;
 });
 
-// POST-DELETE: Restore BOTH Inventory AND Purchase
-saleSchema.post('findOneAndDelete', async function(doc) {
-  if (!doc) return;
-
-  try {
-    const Inventory = mongoose.model('Inventory');
-    const Purchase = mongoose.model('Purchase');
-
-    const filter = { product: doc.product };
-    if (doc.color) filter.color = doc.color;
-
-    // Restore Inventory
-    await Inventory.findOneAndUpdate(
-      filter,
-      { $inc: { quantity: doc.quantity }, lastUpdated: new Date() }
-    );
-
-    // Restore Purchase (FIFO - add back to oldest purchase)
-    const oldestPurchase = await Purchase.findOne(filter).sort({ date: 1 });
-    if (oldestPurchase) {
-      await Purchase.findByIdAndUpdate(oldestPurchase._id, {
-        $inc: { quantity: doc.quantity }
-      });
-    }
-
-    console.log(`Sale deletion restored: ${doc.quantity} units to inventory & purchase`);
-  } catch (error) {
-    console.error('Failed to restore inventory/purchase on sale delete:', error);
-  }
-});
+// Stock is deducted/restored by utils/saleInvoice.js inside the sale transaction
 
 // Keep your existing statics and indexes
 saleSchema.statics.getDailySummary = async function(date) {
@@ -157,20 +167,36 @@ saleSchema.statics.getDailySummary = async function(date) {
   const endDate = new Date(date);
   endDate.setHours(23, 59, 59, 999);
 
+  // Return lines count as negative quantity and amount
+  const isReturn = { $eq: ['$saleType', 'return'] };
+
   const result = await this.aggregate([
     { $match: { date: { $gte: startDate, $lte: endDate } } },
     {
       $group: {
         _id: null,
-        totalSales: { $sum: 1 },
-        totalQuantity: { $sum: "$quantity" },
-        totalAmount: { $sum: "$totalAmount" },
-        averageSaleValue: { $avg: "$totalAmount" }
+        totalSales: { $sum: { $cond: [isReturn, 0, 1] } },
+        totalReturns: { $sum: { $cond: [isReturn, 1, 0] } },
+        totalQuantity: { $sum: { $cond: [isReturn, { $multiply: ['$quantity', -1] }, '$quantity'] } },
+        totalAmount: { $sum: { $cond: [isReturn, { $multiply: ['$totalAmount', -1] }, '$totalAmount'] } },
+        returnAmount: { $sum: { $cond: [isReturn, '$totalAmount', 0] } },
+        averageSaleValue: { $avg: { $cond: [isReturn, null, '$totalAmount'] } }
       }
     }
   ]);
 
-  return result[0] || { totalSales: 0, totalQuantity: 0, totalAmount: 0, averageSaleValue: 0 };
+  const summary = result[0] || {
+    totalSales: 0,
+    totalReturns: 0,
+    totalQuantity: 0,
+    totalAmount: 0,
+    returnAmount: 0,
+    averageSaleValue: 0
+  };
+
+  summary.paymentMethods = await mongoose.model('Invoice').getPaymentBreakdown(startDate, endDate);
+
+  return summary;
 };
 
 saleSchema.index({ date: -1, product: 1 });
@@ -0,0 +1,81 @@
+// models/setting.model.js - Shop-wide settings kept in a single document
+const mongoose = require('mongoose');
+
+const COSTING_METHODS = ['fifo', 'average'];
+
+const settingSchema = new mongoose.Schema(
+  {
+    // Always 'app': there is only one settings document
+    _id: {
+      type: String,
+      default: 'app'
+    },
+    tax: {
+      // inclusive: prices already contain the tax; exclusive: tax is added on top
+      mode: {
+        type: String,
+        enum: ['inclusive', 'exclusive'],
+        default: 'exclusive'
+      },
+      // Used when neither the product nor its type has a rate
+      defaultRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+      },
+      // Rate (percent) per product type, e.g. { gallon: 18 }
+      typeRates: {
+        type: Map,
+        of: {
+          type: Number,
+          min: [0, 'Tax rate cannot be negative'],
+          max: [100, 'Tax rate cannot exceed 100%']
+        },
+        default: () => new Map()
+      }
+    },
+    costing: {
+      // fifo: sales are costed from the oldest purchase layers;
+      // average: at the moving weighted average cost of the product + color
+      method: {
+        type: String,
+        enum: COSTING_METHODS,
+        default: 'fifo'
+      }
+    },
+    adjustments: {
+      // Largest stock adjustment (value at cost, either way) staff may post;
+      // bigger ones need an admin
+      staffValueLimit: {
+        type: Number,
+        default: 5000,
+        min: [0, 'Adjustment limit cannot be negative']
+      }
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { timestamps: true }
+);
+
+// Current settings; defaults when nothing has been saved yet
+settingSchema.statics.getSettings = async function(session) {
+  const settings = await this.findById('app').session(session || null);
+  return settings || new this({ _id: 'app' });
+};
+
+// Tax rate for a product: its own rate, else the rate of its type, else the default
+settingSchema.methods.taxRateFor = function(product) {
+  if (product.taxRate !== null && product.taxRate !== undefined) {
+    return product.taxRate;
+  }
+  const typeRate = this.tax.typeRates.get(product.type);
+  return typeRate !== undefined ? typeRate : this.tax.defaultRate;
+};
+
+settingSchema.statics.COSTING_METHODS = COSTING_METHODS;
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,134 @@
+// models/shift.model.js - Cashier shift with cash drawer reconciliation
+const mongoose = require('mongoose');
+
+const shiftSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open'
+    },
+    openedAt: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    openingFloat: {
+      type: Number,
+      required: [true, 'Opening float is required'],
+      min: [0, 'Opening float cannot be negative']
+    },
+    closedAt: {
+      type: Date
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Cash movements during the shift, stored when the shift is closed
+    cashSales: { type: Number, default: 0 },
+    cashRefunds: { type: Number, default: 0 },
+    cashExpenses: { type: Number, default: 0 },
+    ledgerCashIn: { type: Number, default: 0 },
+    ledgerCashOut: { type: Number, default: 0 },
+    expectedCash: {
+      type: Number,
+      default: 0
+    },
+    countedCash: {
+      type: Number,
+      min: [0, 'Counted cash cannot be negative']
+    },
+    // countedCash - expectedCash: positive = over, negative = short
+    overShort: {
+      type: Number,
+      default: 0
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+  },
+  { timestamps: true }
+);
+
+// The open shift of a user, if any
+shiftSchema.statics.findOpen = function(userId, session) {
+  return this.findOne({ user: userId, status: 'open' }).session(session || null);
+};
+
+// Add up the cash that went through the drawer during this shift:
+// cash payments on sales and refunds on returns, cash expenses, and
+// cash ledger entries (payable = cash received from a contact,
+// receivable = cash paid out to a contact; see Contact.balance)
+shiftSchema.methods.calculateCash = async function() {
+  const Invoice = mongoose.model('Invoice');
+  const Expense = mongoose.model('Expense');
+  const Ledger = mongoose.model('Ledger');
+
+  const [invoiceCash, expenseCash, ledgerCash] = await Promise.all([
+    Invoice.aggregate([
+      { $match: { shift: this._id } },
+      {
+        $project: {
+          isReturn: { $eq: ['$saleType', 'return'] },
+          // Invoices recorded without payment lines were paid in cash
+          payments: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+              '$payments',
+              [{ method: 'cash', amount: '$amountPaid' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$payments' },
+      { $match: { 'payments.method': 'cash' } },
+      { $group: { _id: '$isReturn', amount: { $sum: '$payments.amount' } } }
+    ]),
+    Expense.aggregate([
+      { $match: { shift: this._id, paymentMethod: 'cash' } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    Ledger.aggregate([
+      { $match: { shift: this._id, paymentMethod: 'cash', status: { $ne: 'cancelled' } } },
+      { $group: { _id: '$transactionType', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const pick = (rows, id) => {
+    const row = rows.find(r => r._id === id);
+    return row ? parseFloat(row.amount.toFixed(2)) : 0;
+  };
+
+  const cash = {
+    cashSales: pick(invoiceCash, false),
+    cashRefunds: pick(invoiceCash, true),
+    cashExpenses: pick(expenseCash, null),
+    ledgerCashIn: pick(ledgerCash, 'payable'),
+    ledgerCashOut: pick(ledgerCash, 'receivable')
+  };
+
+  cash.expectedCash = parseFloat((
+    this.openingFloat +
+    cash.cashSales -
+    cash.cashRefunds -
+    cash.cashExpenses +
+    cash.ledgerCashIn -
+    cash.ledgerCashOut
+  ).toFixed(2));
+
+  return cash;
+};
+
+// Only one open shift per user
+shiftSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
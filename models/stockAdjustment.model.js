@@ -0,0 +1,92 @@
+// models/stockAdjustment.model.js - Stock written on or off with a reason (breakage, theft, recount...)
+const mongoose = require('mongoose');
+
+const ADJUSTMENT_REASONS = ['damaged', 'spilled', 'expired', 'found', 'theft', 'correction'];
+
+const stockAdjustmentSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    adjustmentNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null
+    },
+    reason: {
+      type: String,
+      enum: ADJUSTMENT_REASONS,
+      required: [true, 'Reason is required']
+    },
+    // Signed: negative writes stock off, positive adds it
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required']
+    },
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    // Variance at cost (before tax), signed like quantity
+    unitCost: {
+      type: Number,
+      default: 0
+    },
+    value: {
+      type: Number,
+      default: 0
+    },
+    // Cost layers the stock was written off from, or the layer opened for stock found
+    costLayers: [
+      {
+        _id: false,
+        layer: { type: mongoose.Schema.Types.ObjectId, ref: 'CostLayer', default: null },
+        quantity: { type: Number, required: true },
+        unitCost: { type: Number, required: true }
+      }
+    ],
+    // Set when the adjustment posts a stock take variance
+    stockTake: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockTake',
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+stockAdjustmentSchema.index({ date: -1 });
+stockAdjustmentSchema.index({ inventory: 1, date: -1 });
+stockAdjustmentSchema.index({ reason: 1, date: -1 });
+
+stockAdjustmentSchema.statics.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
+module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
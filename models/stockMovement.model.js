@@ -0,0 +1,81 @@
+// models/stockMovement.model.js - Journal of every change to an inventory row (never edited or deleted)
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['purchase', 'purchase_return', 'sale', 'sale_return', 'opening', 'adjustment'];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true
+    },
+    // Signed change and the row's quantity right after it
+    quantity: {
+      type: Number,
+      required: true
+    },
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    // Document behind the change, e.g. the purchase or sale line, and its number
+    referenceModel: {
+      type: String,
+      enum: ['Purchase', 'PurchaseReturn', 'Sale', 'Product', 'StockAdjustment']
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'referenceModel'
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// The journal is append-only
+const immutable = function() {
+  throw new Error('Stock movements cannot be changed or deleted');
+};
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+stockMovementSchema.pre('save', function() {
+  if (!this.isNew) immutable();
+});
+
+stockMovementSchema.index({ inventory: 1, createdAt: -1 });
+stockMovementSchema.index({ product: 1, color: 1, createdAt: -1 });
+stockMovementSchema.index({ referenceModel: 1, referenceId: 1 });
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,112 @@
+// models/stockTake.model.js - Physical stock count session; approved variances post as stock adjustments
+const mongoose = require('mongoose');
+
+const STOCK_TAKE_STATUSES = ['open', 'approved', 'cancelled'];
+
+const stockTakeLineSchema = new mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null
+    },
+    // Book quantity frozen when the session was opened
+    expectedQuantity: {
+      type: Number,
+      required: true
+    },
+    // Average cost when the session was opened, to value variances before approval
+    unitCost: {
+      type: Number,
+      default: 0
+    },
+    // Latest count wins; earlier ones stay in counts
+    countedQuantity: {
+      type: Number,
+      default: null
+    },
+    counts: [
+      {
+        _id: false,
+        quantity: { type: Number, required: true },
+        countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        countedAt: { type: Date, default: Date.now }
+      }
+    ],
+    // Posted on approval when the count differs from the book quantity
+    adjustment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockAdjustment',
+      default: null
+    }
+  },
+  { _id: true }
+);
+
+const stockTakeSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    stockTakeNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    status: {
+      type: String,
+      enum: STOCK_TAKE_STATUSES,
+      default: 'open'
+    },
+    // Which stock rows were included (empty = all)
+    filters: {
+      productType: { type: String, default: null },
+      colorFamily: { type: String, default: null }
+    },
+    lines: [stockTakeLineSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    approvedAt: {
+      type: Date,
+      default: null
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ 'lines.inventory': 1, status: 1 });
+
+stockTakeSchema.statics.STOCK_TAKE_STATUSES = STOCK_TAKE_STATUSES;
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
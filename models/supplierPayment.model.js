@@ -0,0 +1,85 @@
+// models/supplierPayment.model.js - Payment made to a supplier, allocated to purchase bills
+const mongoose = require('mongoose');
+const paymentMethods = require('../config/paymentMethods');
+
+const supplierPaymentSchema = new mongoose.Schema(
+  {
+    // Sequential number from the counters collection (see config/numbering.js)
+    paymentNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: [true, 'Supplier is required']
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0']
+    },
+    paymentMethod: {
+      type: String,
+      enum: paymentMethods,
+      default: 'cash'
+    },
+    // Cheque / transfer number
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    // Purchase bills settled by this payment
+    allocations: [
+      {
+        _id: false,
+        purchase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Purchase',
+          required: true
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, 'Allocated amount must be greater than 0']
+        }
+      }
+    ],
+    // Part of the payment not allocated to a bill (advance to the supplier)
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Unallocated amount cannot be negative']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Cashier shift whose drawer paid a cash payment
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+supplierPaymentSchema.index({ supplier: 1, date: -1 });
+supplierPaymentSchema.index({ 'allocations.purchase': 1 });
+supplierPaymentSchema.index({ date: -1 });
+
+module.exports = mongoose.model('SupplierPayment', supplierPaymentSchema);
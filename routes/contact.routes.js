@@ -7,7 +7,8 @@ const {
   updateContact,
   deleteContact,
   getContactsByType,
-  searchContacts
+  searchContacts,
+  getContactPurchases
 } = require('../controllers/contact.controller');
 const { protect } = require('../middleware/auth.middleware');
 
@@ -20,6 +21,7 @@ router.route('/:id')
   .put(protect, updateContact)
   .delete(protect, deleteContact);
 
+router.get('/:id/purchases', protect, getContactPurchases);
 router.get('/type/:type', protect, getContactsByType);
 router.get('/search/:query', protect, searchContacts);
 
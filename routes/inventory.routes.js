@@ -1,12 +1,26 @@
 // routes/inventory.routes.js
 const express = require('express');
-const { getInventory, getLowStock, updateInventory } = require('../controllers/inventory.controller');
+const {
+  getInventory,
+  getLowStock,
+  getReorderSuggestions,
+  getStockMovements,
+  updateInventory
+} = require('../controllers/inventory.controller');
 const { protect } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
 router.get('/', protect, getInventory);
 router.get('/low-stock', protect, getLowStock);
+
+// What to order per supplier (turn into draft orders with POST /api/purchase-orders/from-suggestions)
+router.get('/reorder-suggestions', protect, getReorderSuggestions);
+
+// Journal of every change to one product + color line
+router.get('/:id/movements', protect, getStockMovements);
+
+// Min / max stock levels; quantities change through /api/stock-adjustments
 router.put('/:id', protect, updateInventory);
 
 module.exports = router;
\ No newline at end of file
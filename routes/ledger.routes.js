@@ -1,10 +1,11 @@
 const express = require('express');
 const ledgerController = require('../controllers/ledger.controller');
+const { protect } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Add a new transaction
-router.post('/transaction', ledgerController.addTransaction);
+// Add a new transaction (cash entries go to the user's open shift)
+router.post('/transaction', protect, ledgerController.addTransaction);
 
 // Get daily ledger (all vendors for a date)
 router.get('/daily', ledgerController.getDailyLedger);
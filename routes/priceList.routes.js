@@ -0,0 +1,24 @@
+// routes/priceList.routes.js
+const express = require('express');
+const {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  resolvePrice
+} = require('../controllers/priceList.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Price a product for a customer + quantity (POS lookup)
+router.get('/resolve', protect, resolvePrice);
+
+router.get('/', protect, getPriceLists);
+router.get('/:id', protect, getPriceList);
+router.post('/', protect, authorize('admin', 'superadmin'), createPriceList);
+router.put('/:id', protect, authorize('admin', 'superadmin'), updatePriceList);
+router.delete('/:id', protect, authorize('admin', 'superadmin'), deletePriceList);
+
+module.exports = router;
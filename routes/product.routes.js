@@ -7,6 +7,7 @@ const {
     updateProduct, 
     deleteProduct,
     uploadProductsFromCSV,
+    getPurchasePriceHistory,
     bulkDeleteAllProducts,
     fixInventoryQuantities
 } = require('../controllers/product.controller');
@@ -33,6 +34,8 @@ router.get('/', protect, getProducts);
 router.post('/', protect, createProduct);
 router.delete('/bulk-delete-all', protect, bulkDeleteAllProducts);
 router.post('/upload-csv', protect, upload.single('csvFile'), uploadProductsFromCSV);
+// Prices paid per supplier: min / avg / max / last and the full timeline
+router.get('/:id/purchase-prices', protect, getPurchasePriceHistory);
 router.put('/:id', protect, updateProduct);
 router.delete('/:id', protect, deleteProduct);
 fixInventoryQuantities
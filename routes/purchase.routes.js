@@ -1,15 +1,33 @@
 // routes/purchase.routes.js - UPDATED
 const express = require('express');
+const multer = require('multer');
 const { 
   getPurchases, 
   createPurchase, 
   updatePurchase, 
   deletePurchase, 
+  uploadPurchasesFromCSV,
   getPurchaseStats 
 } = require('../controllers/purchase.controller');
 const { protect } = require('../middleware/auth.middleware');
 
 const router = express.Router();
+
+// Configure multer for file upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
 // const debugColors = async (req, res) => {
 //     try {
 //         const Color = require('../models/color.model');
@@ -38,6 +56,9 @@ const router = express.Router();
 router.get('/', protect, getPurchases);
 router.get('/stats', protect, getPurchaseStats);
 router.post('/', protect, createPurchase);
+
+// Delivery note lines: product code/name, color code, quantity, unit price, supplier
+router.post('/upload-csv', protect, upload.single('csvFile'), uploadPurchasesFromCSV);
 router.put('/:id', protect, updatePurchase);
 router.delete('/:id', protect, deletePurchase);
 
@@ -0,0 +1,42 @@
+// routes/purchaseOrder.routes.js
+const express = require('express');
+const {
+    getPurchaseOrders,
+    getOutstandingOrders,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    createOrdersFromSuggestions,
+    updatePurchaseOrder,
+    updatePurchaseOrderStatus,
+    receivePurchaseOrder,
+    updateReceiptCharges,
+    deletePurchaseOrder
+} = require('../controllers/purchaseOrder.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getPurchaseOrders);
+
+// Lines still to be delivered on sent / partially received orders
+router.get('/outstanding', protect, getOutstandingOrders);
+
+// Freight / loading charges of a goods receipt, re-allocated over its lines
+router.put('/receipts/:receiptId/charges', protect, updateReceiptCharges);
+
+router.get('/:id', protect, getPurchaseOrder);
+router.post('/', protect, createPurchaseOrder);
+
+// One draft order per supplier from GET /api/inventory/reorder-suggestions
+router.post('/from-suggestions', protect, createOrdersFromSuggestions);
+router.put('/:id', protect, updatePurchaseOrder);
+
+// draft <-> sent, or cancelled
+router.put('/:id/status', protect, updatePurchaseOrderStatus);
+
+// Goods received note: posts the received quantities to stock as purchases
+router.post('/:id/receive', protect, receivePurchaseOrder);
+
+router.delete('/:id', protect, deletePurchaseOrder);
+
+module.exports = router;
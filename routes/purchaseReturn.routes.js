@@ -0,0 +1,21 @@
+// routes/purchaseReturn.routes.js
+const express = require('express');
+const {
+    getPurchaseReturns,
+    getPurchaseReturn,
+    createPurchaseReturn,
+    deletePurchaseReturn
+} = require('../controllers/purchaseReturn.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getPurchaseReturns);
+router.get('/:id', protect, getPurchaseReturn);
+
+// Send goods from a purchase back to the supplier (debit note)
+router.post('/', protect, createPurchaseReturn);
+
+router.delete('/:id', protect, authorize('admin', 'superadmin'), deletePurchaseReturn);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// routes/quotation.routes.js
+const express = require('express');
+const {
+  getQuotations,
+  getQuotation,
+  createQuotation,
+  updateQuotation,
+  updateQuotationStatus,
+  convertQuotation,
+  deleteQuotation
+} = require('../controllers/quotation.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getQuotations);
+router.get('/:id', protect, getQuotation);
+router.post('/', protect, createQuotation);
+router.put('/:id', protect, updateQuotation);
+
+// draft -> sent -> accepted / rejected
+router.put('/:id/status', protect, updateQuotationStatus);
+
+// Turn the quotation into a sale invoice (deducts stock)
+router.post('/:id/convert', protect, convertQuotation);
+
+router.delete('/:id', protect, deleteQuotation);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/report.routes.js
+const express = require('express');
+const { getTaxReport, getProfitReport, getStockValuation } = require('../controllers/report.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Output vs input sales tax for a date range
+router.get('/tax', protect, authorize('admin', 'superadmin'), getTaxReport);
+
+// Gross profit from the cost of goods recorded on each sale line
+router.get('/profit', protect, authorize('admin', 'superadmin'), getProfitReport);
+
+// Stock on hand at cost (FIFO layers or moving average)
+router.get('/stock-valuation', protect, authorize('admin', 'superadmin'), getStockValuation);
+
+module.exports = router;
@@ -3,13 +3,26 @@ const express = require('express');
 const { 
   getSales, 
   createSale, 
+  updateSale,
   deleteSale, 
   getSalesStats,
   getDailySales,
   getDailySummary,
   getSalesByDateRange,
   createBulkSales, 
-  getAllSalesForDate
+  getAllSalesForDate,
+  getInvoices,
+  getInvoice,
+  getInvoiceByReference,
+  getSaleReceipt,
+  updateInvoice,
+  deleteInvoice,
+  createReturn,
+  createHeldSale,
+  getHeldSales,
+  getHeldSale,
+  updateHeldSale,
+  deleteHeldSale
 } = require('../controllers/sale.controller');
 const { protect } = require('../middleware/auth.middleware');
 
@@ -36,6 +49,29 @@ router.post('/', protect, createSale);
 // Create multiple sales at once
 router.post('/bulk', protect, createBulkSales);
 
+// Return items from an invoice (list with GET /invoices?saleType=return)
+router.post('/returns', protect, createReturn);
+
+// Held (parked) sales; finalize with POST / and { heldSale: id }
+router.get('/held', protect, getHeldSales);
+router.get('/held/:id', protect, getHeldSale);
+router.post('/held', protect, createHeldSale);
+router.put('/held/:id', protect, updateHeldSale);
+router.delete('/held/:id', protect, deleteHeldSale);
+
+// Invoices (header + line items)
+router.get('/invoices', protect, getInvoices);
+router.get('/invoices/:id', protect, getInvoice);
+router.get('/invoice/:reference', protect, getInvoiceByReference);
+router.put('/invoices/:id', protect, updateInvoice);
+router.delete('/invoices/:id', protect, deleteInvoice);
+
+// Printable receipt (format=pdf|escpos|html)
+router.get('/:id/receipt', protect, getSaleReceipt);
+
+// Edit a sale line (quantity, color, price...) with stock re-adjustment
+router.put('/:id', protect, updateSale);
+
 // Delete a sale
 router.delete('/:id', protect, deleteSale);
 
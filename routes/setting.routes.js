@@ -0,0 +1,11 @@
+// routes/setting.routes.js
+const express = require('express');
+const { getSettings, updateSettings } = require('../controllers/setting.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getSettings);
+router.put('/', protect, authorize('admin', 'superadmin'), updateSettings);
+
+module.exports = router;
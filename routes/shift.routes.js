@@ -0,0 +1,27 @@
+// routes/shift.routes.js
+const express = require('express');
+const {
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShifts,
+  getShift
+} = require('../controllers/shift.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Open a shift with an opening float
+router.post('/open', protect, openShift);
+
+// Current user's open shift with expected cash so far
+router.get('/current', protect, getCurrentShift);
+
+// List shifts (staff see their own)
+router.get('/', protect, getShifts);
+router.get('/:id', protect, getShift);
+
+// Close a shift with the counted cash
+router.post('/:id/close', protect, closeShift);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/stockAdjustment.routes.js
+const express = require('express');
+const {
+  getStockAdjustments,
+  getStockAdjustment,
+  createStockAdjustment
+} = require('../controllers/stockAdjustment.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getStockAdjustments);
+router.get('/:id', protect, getStockAdjustment);
+
+// Damaged, spilled, expired, found, theft or correction; large ones need an admin
+router.post('/', protect, createStockAdjustment);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/stockTake.routes.js
+const express = require('express');
+const {
+  getStockTakes,
+  getStockTake,
+  createStockTake,
+  submitCounts,
+  approveStockTake,
+  cancelStockTake
+} = require('../controllers/stockTake.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getStockTakes);
+router.get('/:id', protect, getStockTake);
+
+// Open a count for all stock, or one product type / color family
+router.post('/', protect, createStockTake);
+
+// Staff submit counted quantities while the stock take is open
+router.put('/:id/counts', protect, submitCounts);
+
+// Approval posts the variances as stock adjustments
+router.post('/:id/approve', protect, authorize('admin', 'superadmin'), approveStockTake);
+router.post('/:id/cancel', protect, authorize('admin', 'superadmin'), cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// routes/supplierPayment.routes.js
+const express = require('express');
+const {
+    getSupplierPayments,
+    getOutstandingPayables,
+    getSupplierPayment,
+    createSupplierPayment,
+    deleteSupplierPayment
+} = require('../controllers/supplierPayment.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, getSupplierPayments);
+
+// Unpaid purchase bills grouped by supplier
+router.get('/outstanding', protect, getOutstandingPayables);
+
+router.get('/:id', protect, getSupplierPayment);
+router.post('/', protect, createSupplierPayment);
+router.delete('/:id', protect, authorize('admin', 'superadmin'), deleteSupplierPayment);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+// scripts/migrate-cost-layers.js - Build FIFO cost layers from existing purchases and stock
+//
+// Before cost layers, every sale decremented Purchase.quantity oldest-first,
+// so that field held what was left of each purchase. This script:
+//  1. restores Purchase.quantity to the quantity bought (from the bill total)
+//     and opens a cost layer per purchase holding what was left of it;
+//  2. lines the layers up with Inventory: stock without a layer gets an
+//     opening layer at the product's purchase price, layers holding more than
+//     the stock row are used up oldest-first.
+// Purchases that already have a cost layer are skipped, so it is safe to re-run.
+//
+// Usage: npm run migrate:cost-layers [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Purchase = require('../models/purchase.model');
+const Inventory = require('../models/inventory.model');
+const Product = require('../models/product.model');
+const CostLayer = require('../models/costLayer.model');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Quantity on the bill: the pre-tax amount divided by the price per unit
+const boughtQuantity = (purchase) => {
+  if (!(purchase.unitPrice > 0)) return purchase.quantity;
+  const lineAmount = purchase.taxInclusive ? purchase.totalAmount : purchase.totalAmount - (purchase.taxAmount || 0);
+  return Math.max(round2(lineAmount / purchase.unitPrice), purchase.quantity);
+};
+
+const migratePurchases = async () => {
+  const layered = new Set((await CostLayer.distinct('purchase', { purchase: { $ne: null } })).map(String));
+  const purchases = await Purchase.collection.find({}).sort({ date: 1 }).toArray();
+  let created = 0;
+  let restored = 0;
+
+  for (const purchase of purchases) {
+    if (layered.has(String(purchase._id))) continue;
+
+    const bought = boughtQuantity(purchase);
+    const remaining = Math.max(Math.min(purchase.quantity, bought), 0);
+
+    if (bought !== purchase.quantity) {
+      restored += 1;
+      if (!dryRun) {
+        await Purchase.collection.updateOne({ _id: purchase._id }, { $set: { quantity: bought } });
+      }
+    }
+
+    created += 1;
+    if (!dryRun) {
+      await CostLayer.create({
+        product: purchase.product,
+        color: purchase.color || null,
+        date: purchase.date,
+        source: 'migration',
+        purchase: purchase._id,
+        receivedQuantity: bought,
+        remainingQuantity: remaining,
+        unitCost: bought > 0 ? parseFloat(((purchase.totalAmount - (purchase.taxAmount || 0)) / bought).toFixed(4)) : 0
+      });
+    }
+  }
+
+  console.log(`Purchases: ${created} cost layers ${dryRun ? 'to create' : 'created'}, ${restored} quantities ${dryRun ? 'to restore' : 'restored'}`);
+};
+
+const alignWithInventory = async () => {
+  const rows = await Inventory.find({});
+  let opened = 0;
+  let trimmed = 0;
+
+  for (const row of rows) {
+    const layers = await CostLayer.find({ product: row.product, color: row.color || null, remainingQuantity: { $gt: 0 } })
+      .sort({ date: 1, _id: 1 });
+    const layered = round2(layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0));
+    const stock = Math.max(row.quantity, 0);
+
+    if (stock > layered) {
+      // Stock nobody recorded a purchase for: cost it at the product's purchase price
+      opened += 1;
+      const product = await Product.findById(row.product).select('purchasePrice');
+      await CostLayer.create({
+        product: row.product,
+        color: row.color || null,
+        date: row.createdAt || new Date(0),
+        source: 'opening',
+        receivedQuantity: round2(stock - layered),
+        remainingQuantity: round2(stock - layered),
+        unitCost: product ? product.purchasePrice : 0
+      });
+    } else if (stock < layered) {
+      // Layers hold more than is in stock: the oldest were used up
+      trimmed += 1;
+      let excess = round2(layered - stock);
+      for (const layer of layers) {
+        if (excess <= 0) break;
+        const take = Math.min(excess, layer.remainingQuantity);
+        excess = round2(excess - take);
+        await CostLayer.updateOne({ _id: layer._id }, { $inc: { remainingQuantity: -take } });
+      }
+    }
+  }
+
+  console.log(`Inventory rows: ${opened} opening layers added, ${trimmed} rows trimmed`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  await migratePurchases();
+  if (dryRun) {
+    console.log('Inventory alignment needs the purchase layers in place; run without --dry-run to apply it');
+    return;
+  }
+  await alignWithInventory();
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,89 @@
+// scripts/migrate-purchase-suppliers.js - Link free-text purchase suppliers to supplier contacts
+//
+// Matches each distinct supplier string on purchases, purchase orders and
+// goods receipts to an active supplier Contact by name (case-insensitive),
+// creating the contact when none exists, then stores the contact id in
+// `supplier` and the original text in `supplierName`.
+//
+// Usage: npm run migrate:purchase-suppliers [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Contact = require('../models/contact.model');
+const Purchase = require('../models/purchase.model');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const GoodsReceipt = require('../models/goodsReceipt.model');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Supplier contact for a name, created once per distinct name
+const contactCache = new Map();
+const stats = { matched: 0, created: 0 };
+
+const findOrCreateSupplier = async (name) => {
+  const key = name.toLowerCase();
+  if (contactCache.has(key)) return contactCache.get(key);
+
+  let contact = await Contact.findOne({
+    name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
+    type: 'supplier',
+    isActive: true
+  });
+
+  if (contact) {
+    stats.matched += 1;
+  } else {
+    stats.created += 1;
+    contact = dryRun
+      ? new Contact({ name, type: 'supplier' })
+      : await Contact.create({ name, type: 'supplier' });
+    console.log(`${dryRun ? 'Would create' : 'Created'} supplier contact "${name}"`);
+  }
+
+  contactCache.set(key, contact);
+  return contact;
+};
+
+// Rewrite string suppliers of one collection; goods receipts have no supplierName
+const migrateCollection = async (Model, keepName = true) => {
+  const collection = Model.collection;
+  const names = await collection.distinct('supplier', { supplier: { $type: 'string' } });
+  let updated = 0;
+
+  for (const raw of names) {
+    const name = raw.trim() || 'Unknown Supplier';
+    const contact = await findOrCreateSupplier(name);
+
+    const set = { supplier: contact._id };
+    if (keepName) set.supplierName = contact.name;
+
+    if (dryRun) {
+      updated += await collection.countDocuments({ supplier: raw });
+    } else {
+      const result = await collection.updateMany({ supplier: raw }, { $set: set });
+      updated += result.modifiedCount;
+    }
+  }
+
+  console.log(`${collection.collectionName}: ${names.length} supplier names, ${updated} documents ${dryRun ? 'to update' : 'updated'}`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  await migrateCollection(Purchase);
+  await migrateCollection(PurchaseOrder);
+  await migrateCollection(GoodsReceipt, false);
+
+  console.log(`Supplier contacts matched: ${stats.matched}, created: ${stats.created}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
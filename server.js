@@ -14,6 +14,16 @@ const purchaseRoutes = require('./routes/purchase.routes');
 const saleRoutes = require('./routes/sale.routes');
 const contactRoutes = require('./routes/contact.routes');
 const ledgerRoutes = require('./routes/ledger.routes');
+const shiftRoutes = require('./routes/shift.routes');
+const quotationRoutes = require('./routes/quotation.routes');
+const settingRoutes = require('./routes/setting.routes');
+const reportRoutes = require('./routes/report.routes');
+const priceListRoutes = require('./routes/priceList.routes');
+const purchaseOrderRoutes = require('./routes/purchaseOrder.routes');
+const supplierPaymentRoutes = require('./routes/supplierPayment.routes');
+const purchaseReturnRoutes = require('./routes/purchaseReturn.routes');
+const stockAdjustmentRoutes = require('./routes/stockAdjustment.routes');
+const stockTakeRoutes = require('./routes/stockTake.routes');
 
 
 connectDB();
@@ -46,6 +56,16 @@ app.use('/api/purchases', purchaseRoutes);
 app.use('/api/sales', saleRoutes);
 app.use('/api/contacts', contactRoutes)
 app.use('/api/ledgers', ledgerRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/supplier-payments', supplierPaymentRoutes);
+app.use('/api/purchase-returns', purchaseReturnRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
 
 
 
@@ -0,0 +1,242 @@
+// utils/heldSale.js - Held (parked) sales and their soft stock reservations
+const mongoose = require('mongoose');
+const HeldSale = require('../models/heldSale.model');
+const Inventory = require('../models/inventory.model');
+const Product = require('../models/product.model');
+const Contact = require('../models/contact.model');
+const shop = require('../config/shop');
+const httpError = require('./httpError');
+const { createSaleInvoice } = require('./saleInvoice');
+const { createPriceResolver } = require('./pricing');
+
+// Validate held items; prices default to the customer's price list or the product price
+const prepareHeldItems = async (items, customer, session) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Please provide at least one sale item');
+  }
+
+  const prepared = [];
+  const priceFor = createPriceResolver(customer, session);
+
+  for (let i = 0; i < items.length; i++) {
+    const { product, color, quantity, unitPrice, discount } = items[i];
+
+    if (!product || !quantity) {
+      throw httpError(400, `Item ${i + 1}: please provide product and quantity`);
+    }
+
+    const productDoc = await Product.findById(product).session(session);
+    if (!productDoc) {
+      throw httpError(404, `Item ${i + 1}: product not found`);
+    }
+
+    const resolved = await priceFor(productDoc, parseFloat(quantity));
+    const priceGiven = unitPrice !== undefined && unitPrice !== null && unitPrice !== '';
+
+    const item = {
+      product: productDoc._id,
+      color: color || null,
+      quantity: parseFloat(quantity),
+      unitPrice: priceGiven ? parseFloat(unitPrice) : resolved.unitPrice,
+      discount: discount !== undefined ? parseFloat(discount) || 0 : (priceGiven ? 0 : resolved.discount),
+      priceSource: resolved.priceSource
+    };
+    if (item.unitPrice !== resolved.unitPrice || item.discount !== resolved.discount) {
+      item.priceSource = 'manual';
+    }
+
+    if (!(item.quantity > 0) || !(item.unitPrice >= 0)) {
+      throw httpError(400, `Item ${i + 1}: quantity and unitPrice must be positive numbers`);
+    }
+    if (item.discount < 0 || item.discount > 100) {
+      throw httpError(400, `Item ${i + 1}: discount must be between 0 and 100`);
+    }
+
+    prepared.push(item);
+  }
+  return prepared;
+};
+
+// Combined quantity per product + color
+const groupItems = (items) => {
+  const grouped = new Map();
+  for (const { product, color, quantity } of items) {
+    const key = `${product}_${color || ''}`;
+    if (!grouped.has(key)) grouped.set(key, { product, color: color || null, quantity: 0 });
+    grouped.get(key).quantity += quantity;
+  }
+  return [...grouped.values()];
+};
+
+const reserveHeldStock = async (heldSale, session) => {
+  for (const { product, color, quantity } of groupItems(heldSale.items)) {
+    await Inventory.reserveStock({ product, color, quantity, session });
+  }
+  heldSale.stockReserved = true;
+  heldSale.reservedUntil = new Date(Date.now() + shop.heldSaleReservationHours * 60 * 60 * 1000);
+};
+
+const releaseHeldStock = async (heldSale, session) => {
+  if (!heldSale.stockReserved) return;
+
+  for (const { product, color, quantity } of groupItems(heldSale.items)) {
+    await Inventory.reserveStock({ product, color, quantity: -quantity, session });
+  }
+  heldSale.stockReserved = false;
+  heldSale.reservedUntil = undefined;
+};
+
+const resolveCustomer = async (customer, session) => {
+  if (!customer) return null;
+
+  const contact = await Contact.findById(customer).session(session);
+  if (!contact || !contact.isActive) {
+    throw httpError(404, 'Customer not found');
+  }
+  if (contact.type !== 'customer') {
+    throw httpError(400, 'Selected contact is not a customer');
+  }
+  return contact;
+};
+
+// Held item as sale input: only typed-in prices are passed on, the rest is
+// priced again when the sale is recorded
+const toSaleItem = ({ product, color, quantity, unitPrice, discount, priceSource }) => (
+  priceSource === 'manual'
+    ? { product, color, quantity, unitPrice, discount }
+    : { product, color, quantity }
+);
+
+// Set items/customer/discount of a held sale and (re)reserve its stock if asked
+const applyHeldSale = async (heldSale, data, session) => {
+  const { label, items, discount, customer, customerName, notes, reserveStock } = data;
+  const reserve = reserveStock !== undefined ? Boolean(reserveStock) : heldSale.stockReserved;
+
+  await releaseHeldStock(heldSale, session);
+
+  if (customer !== undefined) {
+    const customerDoc = await resolveCustomer(customer, session);
+    heldSale.customer = customerDoc ? customerDoc._id : null;
+    heldSale.customerName = customerDoc ? customerDoc.name : customerName;
+  } else if (customerName !== undefined) {
+    heldSale.customerName = customerName;
+  }
+
+  // Re-price when the items or the customer change; typed-in prices are kept
+  if (items !== undefined || customer !== undefined) {
+    const source = items !== undefined ? items : heldSale.items.map(toSaleItem);
+    const customerDoc = heldSale.customer ? await Contact.findById(heldSale.customer).session(session) : null;
+    heldSale.items = await prepareHeldItems(source, customerDoc, session);
+  }
+  if (discount !== undefined) {
+    heldSale.discount = parseFloat(discount) || 0;
+  }
+  if (label !== undefined) heldSale.label = label;
+  if (notes !== undefined) heldSale.notes = notes;
+
+  if (reserve) {
+    await reserveHeldStock(heldSale, session);
+  }
+
+  await heldSale.save({ session });
+  return heldSale;
+};
+
+// Park a new sale
+const holdSale = async (data, userId, session) => {
+  if (data.items === undefined) {
+    throw httpError(400, 'Please provide at least one sale item');
+  }
+  const heldSale = new HeldSale({ createdBy: userId });
+  return applyHeldSale(heldSale, data, session);
+};
+
+// Only the cashier who parked a sale, or an admin, may touch it
+const checkHeldSaleOwner = (heldSale, user) => {
+  const owner = heldSale.createdBy && (heldSale.createdBy._id || heldSale.createdBy);
+  if (String(owner) !== String(user.id) && !['admin', 'superadmin'].includes(user.role)) {
+    throw httpError(403, 'Only the cashier who held this sale or an admin can use it');
+  }
+};
+
+// Load a held sale of the user that is still open
+const findHeldSale = async (id, user, session) => {
+  const heldSale = await HeldSale.findById(id).session(session);
+  if (!heldSale) {
+    throw httpError(404, 'Held sale not found');
+  }
+  checkHeldSaleOwner(heldSale, user);
+  if (heldSale.status !== 'held') {
+    throw httpError(400, `Held sale is already ${heldSale.status}`);
+  }
+  return heldSale;
+};
+
+// Turn a held sale into a real invoice. Values given in data (payments,
+// items changed at the counter...) win over what was parked.
+const finalizeHeldSale = async (id, data, user, session, options = {}) => {
+  const heldSale = await findHeldSale(id, user, session);
+
+  // Release first so the sale itself can take the reserved stock
+  await releaseHeldStock(heldSale, session);
+
+  const overrides = Object.fromEntries(
+    Object.entries(data).filter(([key, value]) => value !== undefined && key !== 'heldSale')
+  );
+  const invoice = await createSaleInvoice({
+    items: heldSale.items.map(toSaleItem),
+    discount: heldSale.discount,
+    customer: heldSale.customer,
+    customerName: heldSale.customerName,
+    notes: heldSale.notes,
+    ...overrides
+  }, user.id, session, options);
+
+  heldSale.status = 'completed';
+  heldSale.invoice = invoice._id;
+  await heldSale.save({ session });
+
+  return invoice;
+};
+
+// Abandon a held sale and give its reserved stock back
+const cancelHeldSale = async (heldSale, session) => {
+  await releaseHeldStock(heldSale, session);
+  heldSale.status = 'cancelled';
+  await heldSale.save({ session });
+  return heldSale;
+};
+
+// Drop reservations that outlived the configured hold time. The held sale
+// itself stays listed; it just no longer blocks the stock.
+const releaseExpiredReservations = async () => {
+  const expired = await HeldSale.find({
+    status: 'held',
+    stockReserved: true,
+    reservedUntil: { $lt: new Date() }
+  }).select('_id');
+
+  for (const { _id } of expired) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const heldSale = await HeldSale.findById(_id).session(session);
+        if (!heldSale || !heldSale.stockReserved || heldSale.reservedUntil >= new Date()) return;
+        await releaseHeldStock(heldSale, session);
+        await heldSale.save({ session });
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+module.exports = {
+  holdSale,
+  applyHeldSale,
+  checkHeldSaleOwner,
+  findHeldSale,
+  finalizeHeldSale,
+  cancelHeldSale,
+  releaseExpiredReservations
+};
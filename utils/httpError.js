@@ -0,0 +1,11 @@
+// utils/httpError.js
+
+// Error carrying an HTTP status, thrown from helpers that run inside
+// transactions so the controller can answer with the right status code
+const httpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,45 @@
+// utils/pricing.js - Resolve selling prices from price lists
+const PriceList = require('../models/priceList.model');
+
+// Roles allowed to sell below/above the resolved price of a customer
+const PRICE_OVERRIDE_ROLES = ['admin', 'superadmin'];
+
+const canOverridePrice = (user) => Boolean(user && PRICE_OVERRIDE_ROLES.includes(user.role));
+
+// Build a resolver for one customer: the customer's own list wins, then the
+// tier list assigned to the contact, then the product's salePrice/discount.
+// Lists are loaded once, so call it once per invoice.
+const createPriceResolver = (customer, session) => {
+  let lists;
+
+  const loadLists = async () => {
+    if (lists) return lists;
+    lists = [];
+    if (!customer) return lists;
+
+    const own = await PriceList.findOne({ customer: customer._id, isActive: true }).session(session);
+    if (own) lists.push({ list: own, source: 'customer' });
+
+    if (customer.priceList) {
+      const tier = await PriceList.findOne({ _id: customer.priceList, isActive: true }).session(session);
+      if (tier) lists.push({ list: tier, source: 'price_list' });
+    }
+    return lists;
+  };
+
+  return async (product, quantity) => {
+    for (const { list, source } of await loadLists()) {
+      const entry = list.findEntry(product._id, quantity);
+      if (entry) {
+        return { unitPrice: entry.unitPrice, discount: entry.discount, priceSource: source, priceList: list._id };
+      }
+      if (list.discount > 0) {
+        return { unitPrice: product.salePrice, discount: list.discount, priceSource: source, priceList: list._id };
+      }
+    }
+
+    return { unitPrice: product.salePrice, discount: product.discount || 0, priceSource: 'product', priceList: null };
+  };
+};
+
+module.exports = { canOverridePrice, createPriceResolver };
@@ -0,0 +1,302 @@
+// utils/purchase.js - Booking purchases into stock, shared by purchases and goods receipts
+const mongoose = require('mongoose');
+const Purchase = require('../models/purchase.model');
+const Product = require('../models/product.model');
+const Color = require('../models/color.model');
+const Contact = require('../models/contact.model');
+const Inventory = require('../models/inventory.model');
+const CostLayer = require('../models/costLayer.model');
+const Counter = require('../models/counter.model');
+const Setting = require('../models/setting.model');
+const Ledger = require('../models/ledger.model');
+const shop = require('../config/shop');
+const landedChargeCategories = require('../config/landedCharges');
+const { splitTax, parseTaxRate } = require('./tax');
+const httpError = require('./httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Load the supplier Contact a purchase or purchase order is placed with
+const resolveSupplier = async (supplier, session) => {
+    if (!supplier) {
+        throw httpError(400, 'Please select the supplier');
+    }
+    if (!mongoose.isValidObjectId(supplier)) {
+        throw httpError(400, 'Invalid supplier');
+    }
+
+    const contact = await Contact.findById(supplier).session(session);
+    if (!contact || !contact.isActive) {
+        throw httpError(404, 'Supplier not found');
+    }
+    if (contact.type !== 'supplier') {
+        throw httpError(400, 'Selected contact is not a supplier');
+    }
+    return contact;
+};
+
+// Supplier contact that opening stock entered with a new product is booked against
+const OPENING_STOCK_SUPPLIER = 'Initial Stock';
+
+const openingStockSupplier = (session) => Contact.findOneAndUpdate(
+    { name: OPENING_STOCK_SUPPLIER, type: 'supplier', isActive: true },
+    { $setOnInsert: { name: OPENING_STOCK_SUPPLIER, type: 'supplier' } },
+    { upsert: true, new: true, session }
+);
+
+// Parse the amount paid on a purchase bill; nothing given means bought on credit
+const parseAmountPaid = (amountPaid, totalAmount) => {
+    if (amountPaid === undefined || amountPaid === null || amountPaid === '') return 0;
+
+    const amount = parseFloat(amountPaid);
+    if (!(amount >= 0)) {
+        throw httpError(400, 'Amount paid must be a positive number');
+    }
+    if (round2(amount) > totalAmount) {
+        throw httpError(400, 'Amount paid cannot exceed the purchase total');
+    }
+    return round2(amount);
+};
+
+// Due date given on the bill, or the default supplier credit period from the purchase date
+const resolveDueDate = (dueDate, date) => {
+    if (dueDate) {
+        const value = new Date(dueDate);
+        if (isNaN(value.getTime())) {
+            throw httpError(400, 'Invalid due date. Use YYYY-MM-DD');
+        }
+        return value;
+    }
+    const value = new Date(date);
+    value.setDate(value.getDate() + shop.supplierCreditDays);
+    return value;
+};
+
+// Post the change in a purchase's balance due to the supplier's balance and ledger.
+// previous holds the supplier/balanceDue that was posted before this change.
+const postSupplierCredit = async (purchase, previous, session) => {
+    const reference = purchase.purchaseNumber;
+    const sameSupplier = Boolean(previous.supplier && purchase.supplier &&
+        previous.supplier.toString() === purchase.supplier.toString());
+
+    // Supplier changed: take the whole old balance off the previous supplier
+    if (previous.supplier && previous.balanceDue > 0 && !sameSupplier) {
+        await Ledger.postEntry({
+            contact: previous.supplier,
+            transactionType: 'receivable',
+            amount: previous.balanceDue,
+            description: `Payable reversed for purchase ${reference}`,
+            reference,
+            session
+        });
+    }
+
+    const change = round2(purchase.balanceDue - (sameSupplier ? previous.balanceDue : 0));
+    if (change === 0) return;
+
+    await Ledger.postEntry({
+        contact: purchase.supplier,
+        transactionType: change > 0 ? 'payable' : 'receivable',
+        amount: Math.abs(change),
+        description: sameSupplier ? `Payable adjusted for purchase ${reference}` : `Credit purchase ${reference}`,
+        reference,
+        date: sameSupplier ? new Date() : purchase.date,
+        session
+    });
+};
+
+// Cost per unit of a purchase before tax, plus its landed charges; input tax is
+// claimed back, so it is not part of the cost
+const unitCostOf = (purchase) => (purchase.quantity > 0
+    ? parseFloat(((purchase.totalAmount - (purchase.taxAmount || 0) + (purchase.landedCost || 0)) / purchase.quantity).toFixed(4))
+    : 0);
+
+// Validate landed charges ({ category, description, amount })
+const parseCharges = (charges) => {
+    if (charges === undefined || charges === null || charges === '') return [];
+    if (!Array.isArray(charges)) {
+        throw httpError(400, 'charges must be an array of { category, description, amount }');
+    }
+
+    return charges.map((charge, i) => {
+        const amount = parseFloat(charge.amount);
+        if (!(amount >= 0)) {
+            throw httpError(400, `Charge ${i + 1}: amount must be a positive number`);
+        }
+        const category = charge.category || 'other';
+        if (!landedChargeCategories.includes(category)) {
+            throw httpError(400, `Charge ${i + 1}: category must be one of ${landedChargeCategories.join(', ')}`);
+        }
+        return { category, description: charge.description, amount: round2(amount) };
+    });
+};
+
+// Spread a charge total over lines ({ quantity, unitPrice }) by their value or
+// their quantity; the last line takes the rounding difference
+const allocateCharges = (lines, total, method = 'value') => {
+    if (!['value', 'quantity'].includes(method)) {
+        throw httpError(400, 'allocationMethod must be value or quantity');
+    }
+
+    const weights = lines.map(line => (method === 'value' ? line.quantity * line.unitPrice : line.quantity));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total > 0 && !(totalWeight > 0)) {
+        throw httpError(400, `Charges cannot be allocated by ${method}: the lines have none`);
+    }
+
+    let allocated = 0;
+    return weights.map((weight, i) => {
+        if (i === weights.length - 1) return round2(total - allocated);
+        const share = totalWeight > 0 ? round2(total * weight / totalWeight) : 0;
+        allocated = round2(allocated + share);
+        return share;
+    });
+};
+
+// Open the FIFO cost layer for the stock a purchase brought in
+const addCostLayer = async (purchase, session, source = 'purchase') => {
+    const [layer] = await CostLayer.create([{
+        product: purchase.product,
+        color: purchase.color || null,
+        date: purchase.date,
+        source,
+        purchase: purchase._id,
+        receivedQuantity: purchase.quantity,
+        remainingQuantity: purchase.quantity,
+        unitCost: unitCostOf(purchase)
+    }], { session });
+    return layer;
+};
+
+// Create a purchase record, add its quantity to the product + color stock
+// row and a new cost layer, remember the effective unit cost (price plus
+// landed charges) as the product's latest purchase price and post the unpaid
+// part of the bill to the supplier's payable balance.
+// charges are the purchase's own; landedCost is its share of a goods receipt's.
+// Must run inside the caller's transaction.
+const recordPurchase = async ({
+    product,
+    color,
+    supplier,
+    quantity,
+    unitPrice,
+    taxRate,
+    date,
+    amountPaid,
+    dueDate,
+    charges,
+    landedCost = 0,
+    purchaseOrder = null,
+    goodsReceipt = null,
+    userId,
+    session
+}) => {
+    const supplierDoc = await resolveSupplier(supplier, session);
+
+    const productDoc = await Product.findById(product).session(session);
+    if (!productDoc) {
+        throw httpError(404, 'Product not found');
+    }
+
+    if (color) {
+        const colorExists = await Color.exists({ _id: color }).session(session);
+        if (!colorExists) {
+            throw httpError(400, 'Color not found');
+        }
+    }
+
+    const qty = parseFloat(quantity);
+    const price = parseFloat(unitPrice);
+    if (!(qty > 0) || !(price >= 0)) {
+        throw httpError(400, 'Quantity and unit price must be positive numbers');
+    }
+
+    const purchaseDate = date ? new Date(date) : new Date();
+    if (isNaN(purchaseDate.getTime())) {
+        throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+    }
+
+    // Input tax: rate from the supplier bill if given, else the product's rate
+    const settings = await Setting.getSettings(session);
+    const rate = parseTaxRate(taxRate);
+    const tax = {
+        taxRate: rate !== null ? rate : settings.taxRateFor(productDoc),
+        taxInclusive: settings.tax.mode === 'inclusive'
+    };
+    const { taxAmount, totalAmount } = splitTax(qty * price, tax.taxRate, tax.taxInclusive);
+    const paid = parseAmountPaid(amountPaid, totalAmount);
+
+    const purchase = new Purchase({
+        purchaseNumber: await Counter.nextNumber('purchase', purchaseDate, session),
+        date: purchaseDate,
+        product: productDoc._id,
+        color: color || null,
+        supplier: supplierDoc._id,
+        supplierName: supplierDoc.name,
+        quantity: qty,
+        unitPrice: price,
+        ...tax,
+        taxAmount,
+        totalAmount,
+        amountPaid: paid,
+        dueDate: paid < totalAmount ? resolveDueDate(dueDate, purchaseDate) : undefined,
+        charges: goodsReceipt ? [] : parseCharges(charges),
+        landedCost: goodsReceipt ? landedCost : 0,
+        purchaseOrder,
+        goodsReceipt,
+        createdBy: userId
+    });
+    purchase.updatePaymentStatus();
+    await purchase.save({ session });
+    await postSupplierCredit(purchase, { supplier: null, balanceDue: 0 }, session);
+
+    await Inventory.adjustStock({
+        product: productDoc._id,
+        color: color || null,
+        quantity: qty,
+        userId,
+        session,
+        type: 'purchase',
+        reference: { model: 'Purchase', id: purchase._id, number: purchase.purchaseNumber },
+        note: `Purchase from ${supplierDoc.name}`
+    });
+    await addCostLayer(purchase, session);
+    await Inventory.updateAverageCost({
+        product: productDoc._id,
+        color: color || null,
+        moves: [{ quantity: qty, unitCost: unitCostOf(purchase) }],
+        session
+    });
+
+    await Product.updateOne({ _id: productDoc._id }, { purchasePrice: purchase.effectiveUnitCost }, { session });
+
+    return purchase;
+};
+
+// Supplier price (before landed charges) of each product's latest bill.
+// Product.purchasePrice includes landed charges, so order prices start from
+// this instead; a new receipt then adds its own charges only once.
+const lastSupplierPrices = async (productIds) => {
+    if (productIds.length === 0) return new Map();
+    const rows = await Purchase.aggregate([
+        { $match: { product: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        { $sort: { date: -1, _id: -1 } },
+        { $group: { _id: '$product', unitPrice: { $first: '$unitPrice' } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.unitPrice]));
+};
+
+module.exports = {
+    OPENING_STOCK_SUPPLIER,
+    resolveSupplier,
+    openingStockSupplier,
+    parseAmountPaid,
+    resolveDueDate,
+    postSupplierCredit,
+    unitCostOf,
+    parseCharges,
+    allocateCharges,
+    addCostLayer,
+    lastSupplierPrices,
+    recordPurchase
+};
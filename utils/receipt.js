@@ -0,0 +1,270 @@
+// utils/receipt.js - Render sale invoices as HTML, PDF or ESC/POS printer text
+const PDFDocument = require('pdfkit');
+const shop = require('../config/shop');
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Local date and time, YYYY-MM-DD HH:MM
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${d.toTimeString().slice(0, 5)}`;
+};
+
+// Flatten a populated invoice into the fields every receipt format prints
+const buildReceipt = (invoice) => {
+  const isReturn = invoice.saleType === 'return';
+
+  return {
+    shop,
+    title: isReturn ? 'SALE RETURN' : 'SALE INVOICE',
+    number: invoice.invoiceNumber,
+    originalNumber: invoice.originalInvoice ? invoice.originalInvoice.invoiceNumber : null,
+    date: formatDate(invoice.date),
+    customer: invoice.customerName || 'Walk-in Customer',
+    cashier: invoice.createdBy ? invoice.createdBy.name : '',
+    lines: (invoice.items || []).map(item => ({
+      name: item.product ? item.product.name : 'Unknown product',
+      code: item.product ? item.product.code : null,
+      color: item.color
+        ? { name: item.color.name, codeName: item.color.codeName, hexCode: item.color.hexCode }
+        : null,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: item.discount,
+      total: item.quantity * item.unitPrice * (1 - item.discount / 100)
+    })),
+    subtotal: invoice.subtotal,
+    discount: invoice.discount,
+    discountAmount: invoice.discountAmount,
+    taxAmount: invoice.taxAmount || 0,
+    // Inclusive prices already contain the tax, so it is shown but not added
+    taxLabel: (invoice.items || []).every(item => item.taxInclusive) ? 'Sales tax (included)' : 'Sales tax',
+    total: invoice.totalAmount,
+    amountPaid: invoice.amountPaid,
+    creditAmount: invoice.creditAmount,
+    isReturn
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Printable HTML page (fits an 80mm roll, also prints fine on A4)
+const renderReceiptHtml = (receipt) => {
+  const rows = receipt.lines.map(line => `
+      <tr>
+        <td>
+          <div class="name">${escapeHtml(line.name)}${line.code ? ` <small>(${escapeHtml(line.code)})</small>` : ''}</div>
+          ${line.color ? `<div class="color"><span class="swatch" style="background:${escapeHtml(line.color.hexCode)}"></span>${escapeHtml(line.color.name)} (${escapeHtml(line.color.codeName)}) ${escapeHtml(line.color.hexCode)}</div>` : ''}
+          <div class="meta">${line.quantity} x ${money(line.unitPrice)}${line.discount ? ` - ${line.discount}%` : ''}</div>
+        </td>
+        <td class="amount">${money(line.total)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(receipt.number)}</title>
+  <style>
+    body { font-family: monospace; max-width: 80mm; margin: 0 auto; padding: 4mm; font-size: 12px; }
+    h1 { font-size: 16px; margin: 0; text-align: center; }
+    .center { text-align: center; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 2px 0; }
+    .amount { text-align: right; white-space: nowrap; }
+    .items td { border-bottom: 1px dashed #999; }
+    .swatch { display: inline-block; width: 10px; height: 10px; border: 1px solid #000; margin-right: 4px; vertical-align: middle; }
+    .color, .meta { font-size: 11px; }
+    .totals td { padding: 1px 0; }
+    .grand td { font-weight: bold; font-size: 14px; border-top: 1px solid #000; }
+    @media print { body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(receipt.shop.name)}</h1>
+  ${receipt.shop.address ? `<div class="center">${escapeHtml(receipt.shop.address)}</div>` : ''}
+  ${receipt.shop.phone ? `<div class="center">${escapeHtml(receipt.shop.phone)}</div>` : ''}
+  <p class="center"><strong>${receipt.title}</strong></p>
+  <div>No: ${escapeHtml(receipt.number)}</div>
+  ${receipt.originalNumber ? `<div>Against: ${escapeHtml(receipt.originalNumber)}</div>` : ''}
+  <div>Date: ${escapeHtml(receipt.date)}</div>
+  <div>Customer: ${escapeHtml(receipt.customer)}</div>
+  ${receipt.cashier ? `<div>Cashier: ${escapeHtml(receipt.cashier)}</div>` : ''}
+  <table class="items">${rows}
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="amount">${money(receipt.subtotal)}</td></tr>
+    ${receipt.discountAmount ? `<tr><td>Discount (${receipt.discount}%)</td><td class="amount">-${money(receipt.discountAmount)}</td></tr>` : ''}
+    ${receipt.taxAmount ? `<tr><td>${receipt.taxLabel}</td><td class="amount">${money(receipt.taxAmount)}</td></tr>` : ''}
+    <tr class="grand"><td>Total</td><td class="amount">${money(receipt.total)}</td></tr>
+    <tr><td>${receipt.isReturn ? 'Refunded' : 'Paid'}</td><td class="amount">${money(receipt.amountPaid)}</td></tr>
+    ${receipt.creditAmount ? `<tr><td>${receipt.isReturn ? 'Credited to account' : 'On credit'}</td><td class="amount">${money(receipt.creditAmount)}</td></tr>` : ''}
+  </table>
+  <p class="center">${escapeHtml(receipt.shop.footer)}</p>
+</body>
+</html>`;
+};
+
+// ESC/POS command bytes for thermal printers
+const ESC = '\x1b';
+const GS = '\x1d';
+const POS = {
+  init: `${ESC}@`,
+  left: `${ESC}a\x00`,
+  center: `${ESC}a\x01`,
+  boldOn: `${ESC}E\x01`,
+  boldOff: `${ESC}E\x00`,
+  doubleOn: `${GS}!\x11`,
+  doubleOff: `${GS}!\x00`,
+  cut: `${GS}V\x41\x03`
+};
+
+// Plain-ASCII text so every printer code page prints it the same
+const ascii = (value) => String(value ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+// Left text and right text on one line of the given width
+const columns = (left, right, width) => {
+  const l = ascii(left);
+  const r = ascii(right);
+  const space = Math.max(width - l.length - r.length, 1);
+  return `${l.slice(0, width - r.length - 1)}${' '.repeat(space)}${r}`;
+};
+
+// ESC/POS receipt for 58mm (32 columns) or 80mm (42/48 columns) printers
+const renderReceiptEscPos = (receipt, width = 42) => {
+  const rule = '-'.repeat(width);
+  const out = [POS.init, POS.center, POS.doubleOn, ascii(receipt.shop.name), POS.doubleOff, '\n'];
+
+  if (receipt.shop.address) out.push(ascii(receipt.shop.address), '\n');
+  if (receipt.shop.phone) out.push(ascii(receipt.shop.phone), '\n');
+  out.push(POS.boldOn, receipt.title, POS.boldOff, '\n', POS.left, rule, '\n');
+
+  out.push(`No: ${ascii(receipt.number)}\n`);
+  if (receipt.originalNumber) out.push(`Against: ${ascii(receipt.originalNumber)}\n`);
+  out.push(`Date: ${receipt.date}\n`, `Customer: ${ascii(receipt.customer)}\n`);
+  if (receipt.cashier) out.push(`Cashier: ${ascii(receipt.cashier)}\n`);
+  out.push(rule, '\n');
+
+  for (const line of receipt.lines) {
+    out.push(ascii(`${line.name}${line.code ? ` (${line.code})` : ''}`).slice(0, width), '\n');
+    if (line.color) {
+      out.push(ascii(`  ${line.color.name} (${line.color.codeName}) ${line.color.hexCode}`).slice(0, width), '\n');
+    }
+    const detail = `  ${line.quantity} x ${money(line.unitPrice)}${line.discount ? ` -${line.discount}%` : ''}`;
+    out.push(columns(detail, money(line.total), width), '\n');
+  }
+
+  out.push(rule, '\n', columns('Subtotal', money(receipt.subtotal), width), '\n');
+  if (receipt.discountAmount) {
+    out.push(columns(`Discount (${receipt.discount}%)`, `-${money(receipt.discountAmount)}`, width), '\n');
+  }
+  if (receipt.taxAmount) {
+    out.push(columns(receipt.taxLabel, money(receipt.taxAmount), width), '\n');
+  }
+  out.push(POS.boldOn, columns('TOTAL', money(receipt.total), width), POS.boldOff, '\n');
+  out.push(columns(receipt.isReturn ? 'Refunded' : 'Paid', money(receipt.amountPaid), width), '\n');
+  if (receipt.creditAmount) {
+    out.push(columns(receipt.isReturn ? 'Credited to account' : 'On credit', money(receipt.creditAmount), width), '\n');
+  }
+
+  out.push(rule, '\n', POS.center, ascii(receipt.shop.footer), '\n\n\n', POS.cut);
+  return Buffer.from(out.join(''), 'latin1');
+};
+
+// A4 PDF invoice, generated in memory
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(receipt.shop.name, { align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  if (receipt.shop.address) doc.text(receipt.shop.address, { align: 'center' });
+  if (receipt.shop.phone) doc.text(receipt.shop.phone, { align: 'center' });
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text(receipt.title, { align: 'center' });
+
+  doc.moveDown(0.5).font('Helvetica').fontSize(10);
+  doc.text(`No: ${receipt.number}`);
+  if (receipt.originalNumber) doc.text(`Against: ${receipt.originalNumber}`);
+  doc.text(`Date: ${receipt.date}`);
+  doc.text(`Customer: ${receipt.customer}`);
+  if (receipt.cashier) doc.text(`Cashier: ${receipt.cashier}`);
+  doc.moveDown();
+
+  // Item table
+  const cols = { item: left, color: left + 190, qty: left + 330, price: left + 375, disc: left + 435, amount: left + 470 };
+  const amountWidth = right - cols.amount;
+
+  const header = doc.y;
+  doc.font('Helvetica-Bold');
+  doc.text('Item', cols.item, header);
+  doc.text('Color', cols.color, header);
+  doc.text('Qty', cols.qty, header);
+  doc.text('Price', cols.price, header);
+  doc.text('Disc', cols.disc, header);
+  doc.text('Amount', cols.amount, header, { width: amountWidth, align: 'right' });
+  doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+  doc.font('Helvetica');
+
+  for (const line of receipt.lines) {
+    if (doc.y > doc.page.height - 150) doc.addPage();
+    const rowY = doc.y + 6;
+
+    doc.text(`${line.name}${line.code ? ` (${line.code})` : ''}`, cols.item, rowY, { width: 185 });
+    const itemBottom = doc.y;
+
+    if (line.color) {
+      doc.save().rect(cols.color, rowY, 10, 10).fillAndStroke(line.color.hexCode, '#000000').restore();
+      doc.text(`${line.color.name} (${line.color.codeName})`, cols.color + 14, rowY, { width: 122 });
+    }
+    const colorBottom = doc.y;
+
+    doc.text(String(line.quantity), cols.qty, rowY);
+    doc.text(money(line.unitPrice), cols.price, rowY);
+    doc.text(line.discount ? `${line.discount}%` : '-', cols.disc, rowY);
+    doc.text(money(line.total), cols.amount, rowY, { width: amountWidth, align: 'right' });
+
+    doc.y = Math.max(itemBottom, colorBottom, doc.y);
+  }
+
+  doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+  doc.moveDown();
+
+  // Totals
+  const totalRow = (label, value, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, cols.price - 60, y);
+    doc.text(value, cols.amount, y, { width: amountWidth, align: 'right' });
+  };
+
+  totalRow('Subtotal', money(receipt.subtotal));
+  if (receipt.discountAmount) totalRow(`Discount (${receipt.discount}%)`, `-${money(receipt.discountAmount)}`);
+  if (receipt.taxAmount) totalRow(receipt.taxLabel, money(receipt.taxAmount));
+  totalRow('Total', money(receipt.total), true);
+  totalRow(receipt.isReturn ? 'Refunded' : 'Paid', money(receipt.amountPaid));
+  if (receipt.creditAmount) {
+    totalRow(receipt.isReturn ? 'Credited to account' : 'On credit', money(receipt.creditAmount));
+  }
+
+  doc.moveDown(2).font('Helvetica').text(receipt.shop.footer, left, doc.y, { align: 'center', width: right - left });
+  doc.end();
+});
+
+module.exports = {
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptEscPos,
+  renderReceiptPdf
+};
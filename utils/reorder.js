@@ -0,0 +1,156 @@
+// utils/reorder.js - Reorder suggestions: what to order, how much and from which supplier
+const Inventory = require('../models/inventory.model');
+const Sale = require('../models/sale.model');
+const Purchase = require('../models/purchase.model');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const Contact = require('../models/contact.model');
+const shop = require('../config/shop');
+const { OPENING_STOCK_SUPPLIER, lastSupplierPrices } = require('./purchase');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const stockKey = (product, color) => `${product}_${color || ''}`;
+
+// Net quantity sold (returns taken off) per product + color since a date
+const soldQuantities = async (since) => {
+  const rows = await Sale.aggregate([
+    { $match: { date: { $gte: since } } },
+    {
+      $group: {
+        _id: { product: '$product', color: '$color' },
+        quantity: {
+          $sum: { $cond: [{ $eq: ['$saleType', 'return'] }, { $multiply: ['$quantity', -1] }, '$quantity'] }
+        }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [stockKey(row._id.product, row._id.color), Math.max(row.quantity, 0)]));
+};
+
+// Quantity still to arrive per product + color on orders that are not closed
+const onOrderQuantities = async () => {
+  const orders = await PurchaseOrder.find({ status: { $in: ['draft', 'sent', 'partially_received'] } }).select('items');
+  const onOrder = new Map();
+  orders.forEach(order => order.items.forEach(item => {
+    const key = stockKey(item.product, item.color);
+    onOrder.set(key, (onOrder.get(key) || 0) + Math.max(item.quantity - item.receivedQuantity, 0));
+  }));
+  return onOrder;
+};
+
+// Supplier each product was last bought from (opening stock left out)
+const lastSuppliers = async (productIds) => {
+  if (productIds.length === 0) return new Map();
+  const rows = await Purchase.aggregate([
+    { $match: { product: { $in: productIds }, supplierName: { $ne: OPENING_STOCK_SUPPLIER } } },
+    { $sort: { date: -1 } },
+    { $group: { _id: '$product', supplier: { $first: '$supplier' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.supplier]));
+};
+
+// Stock rows that need ordering, grouped by supplier (preferred supplier, else the
+// last one bought from; items with neither are grouped under supplier null).
+//
+// Per product + color, with daily sales = net sales over salesVelocityDays:
+//  - reorder point: the min stock level, or the sales expected over the supplier's
+//    lead time if that is more;
+//  - target level: the max stock level if set, else the reorder point plus
+//    reorderCoverDays of sales (at least the min stock level again);
+//  - a row is suggested when available (unreserved) stock plus what is already
+//    on order is at or below the reorder point, for the quantity up to the target.
+const buildReorderSuggestions = async ({ supplier = null } = {}) => {
+  const days = shop.salesVelocityDays;
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+  since.setHours(0, 0, 0, 0);
+
+  const [rows, sold, onOrder] = await Promise.all([
+    Inventory.find()
+      .populate('product', 'name type code purchasePrice preferredSupplier isActive')
+      .populate('color', 'name codeName hexCode'),
+    soldQuantities(since),
+    onOrderQuantities()
+  ]);
+
+  const stockRows = rows.filter(row => row.product && row.product.isActive);
+  const last = await lastSuppliers(
+    stockRows.filter(row => !row.product.preferredSupplier).map(row => row.product._id)
+  );
+  const prices = await lastSupplierPrices(stockRows.map(row => row.product._id));
+  const priceOf = (product) => prices.get(product._id.toString()) ?? product.purchasePrice;
+  const supplierFor = (product) => product.preferredSupplier || last.get(product._id.toString()) || null;
+
+  const supplierIds = [...new Set(stockRows.map(row => supplierFor(row.product)).filter(Boolean).map(String))];
+  const suppliers = await Contact.find({ _id: { $in: supplierIds }, type: 'supplier', isActive: true })
+    .select('name phone leadTimeDays');
+  const suppliersById = new Map(suppliers.map(contact => [contact._id.toString(), contact]));
+
+  const groups = new Map();
+  for (const row of stockRows) {
+    const supplierId = supplierFor(row.product);
+    const supplierDoc = supplierId ? suppliersById.get(supplierId.toString()) || null : null;
+    if (supplier && (!supplierDoc || supplierDoc._id.toString() !== supplier.toString())) continue;
+
+    const leadTimeDays = supplierDoc && supplierDoc.leadTimeDays !== null && supplierDoc.leadTimeDays !== undefined
+      ? supplierDoc.leadTimeDays
+      : shop.defaultLeadTimeDays;
+    const key = stockKey(row.product._id, row.color ? row.color._id : null);
+    const dailySales = (sold.get(key) || 0) / days;
+
+    const minStockLevel = row.minStockLevel || 0;
+    const reorderPoint = Math.max(minStockLevel, Math.ceil(dailySales * leadTimeDays));
+    const targetLevel = row.maxStockLevel !== null && row.maxStockLevel !== undefined
+      ? Math.max(row.maxStockLevel, reorderPoint)
+      : reorderPoint + Math.max(Math.ceil(dailySales * shop.reorderCoverDays), minStockLevel);
+
+    const available = row.quantity - (row.reservedQuantity || 0);
+    const incoming = onOrder.get(key) || 0;
+    const position = available + incoming;
+    if (position > reorderPoint) continue;
+
+    const suggestedQuantity = Math.ceil(targetLevel - position);
+    if (suggestedQuantity < 1) continue;
+
+    const groupKey = supplierDoc ? supplierDoc._id.toString() : '';
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { supplier: supplierDoc, leadTimeDays, items: [], estimatedCost: 0 });
+    }
+
+    const group = groups.get(groupKey);
+    const unitPrice = priceOf(row.product);
+    const estimatedCost = round2(suggestedQuantity * unitPrice);
+    group.items.push({
+      inventory: row._id,
+      product: { _id: row.product._id, name: row.product.name, type: row.product.type, code: row.product.code },
+      color: row.color,
+      quantity: row.quantity,
+      reservedQuantity: row.reservedQuantity || 0,
+      onOrder: incoming,
+      dailySales: round2(dailySales),
+      minStockLevel,
+      maxStockLevel: row.maxStockLevel,
+      reorderPoint,
+      targetLevel,
+      suggestedQuantity,
+      unitPrice,
+      estimatedCost
+    });
+    group.estimatedCost = round2(group.estimatedCost + estimatedCost);
+  }
+
+  // Suppliers by name, items nobody supplies last
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      items: group.items.sort((a, b) => (a.product.name || '').localeCompare(b.product.name || ''))
+    }))
+    .sort((a, b) => {
+      if (!a.supplier || !b.supplier) return a.supplier ? -1 : (b.supplier ? 1 : 0);
+      return a.supplier.name.localeCompare(b.supplier.name);
+    });
+};
+
+module.exports = {
+  buildReorderSuggestions
+};
@@ -0,0 +1,849 @@
+// utils/saleInvoice.js - Invoice + line item handling shared by the sale controllers
+const Sale = require('../models/sale.model');
+const Invoice = require('../models/invoice.model');
+const Inventory = require('../models/inventory.model');
+const Product = require('../models/product.model');
+const CostLayer = require('../models/costLayer.model');
+const Contact = require('../models/contact.model');
+const Ledger = require('../models/ledger.model');
+const Counter = require('../models/counter.model');
+const Shift = require('../models/shift.model');
+const Setting = require('../models/setting.model');
+const paymentMethods = require('../config/paymentMethods');
+const httpError = require('./httpError');
+const { createPriceResolver } = require('./pricing');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const parseDiscount = (discount) => {
+  const value = parseFloat(discount) || 0;
+  if (value < 0 || value > 100) {
+    throw httpError(400, 'Discount must be between 0 and 100');
+  }
+  return value;
+};
+
+// Validate line items, price them and make sure every product + color has enough stock.
+// Items without unitPrice take the resolved price (customer price list or product price);
+// changing a customer's list price needs allowPriceOverride.
+const prepareLines = async (items, session, { customer = null, allowPriceOverride = false } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Please provide at least one sale item');
+  }
+
+  const lines = [];
+  const requested = new Map();
+  const settings = await Setting.getSettings(session);
+  const priceFor = createPriceResolver(customer, session);
+
+  for (let i = 0; i < items.length; i++) {
+    const { product, color, quantity, unitPrice, discount } = items[i];
+
+    if (!product || !quantity) {
+      throw httpError(400, `Item ${i + 1}: please provide product and quantity`);
+    }
+
+    const productDoc = await Product.findById(product).session(session);
+    if (!productDoc) {
+      throw httpError(404, `Item ${i + 1}: product not found`);
+    }
+
+    const resolved = await priceFor(productDoc, parseFloat(quantity));
+    const priceGiven = unitPrice !== undefined && unitPrice !== null && unitPrice !== '';
+
+    const line = {
+      product: productDoc._id,
+      productName: productDoc.name,
+      color: color || null,
+      quantity: parseFloat(quantity),
+      unitPrice: priceGiven ? parseFloat(unitPrice) : resolved.unitPrice,
+      discount: parseDiscount(discount !== undefined ? discount : (priceGiven ? 0 : resolved.discount)),
+      priceSource: resolved.priceSource,
+      priceList: resolved.priceList,
+      taxRate: settings.taxRateFor(productDoc),
+      taxInclusive: settings.tax.mode === 'inclusive'
+    };
+
+    if (!(line.quantity > 0) || !(line.unitPrice >= 0)) {
+      throw httpError(400, `Item ${i + 1}: quantity and unitPrice must be positive numbers`);
+    }
+
+    if (line.unitPrice !== resolved.unitPrice || line.discount !== resolved.discount) {
+      if (resolved.priceSource !== 'product' && !allowPriceOverride) {
+        throw httpError(403, `Item ${i + 1}: ${productDoc.name} is priced at ${resolved.unitPrice}` +
+          `${resolved.discount ? ` less ${resolved.discount}%` : ''} for this customer. Changing it needs admin permission`);
+      }
+      line.priceSource = 'manual';
+    }
+
+    const key = `${line.product}_${line.color || ''}`;
+    if (!requested.has(key)) requested.set(key, { ...line, quantity: 0 });
+    requested.get(key).quantity += line.quantity;
+
+    lines.push(line);
+  }
+
+  // Same product + color may appear on several lines, so check the combined quantity.
+  // Stock reserved by held sales is not available to other sales.
+  for (const { product, productName, color, quantity } of requested.values()) {
+    const inventoryItem = await Inventory.findOne({ product, color }).session(session);
+    const available = inventoryItem ? inventoryItem.quantity - (inventoryItem.reservedQuantity || 0) : 0;
+    if (available < quantity) {
+      throw httpError(400, `Insufficient stock for ${productName}. Available: ${Math.max(available, 0)}`);
+    }
+  }
+
+  return lines;
+};
+
+// Load and check the customer contact attached to an invoice
+const resolveCustomer = async (customer, session) => {
+  if (!customer) return null;
+
+  const contact = await Contact.findById(customer).session(session);
+  if (!contact || !contact.isActive) {
+    throw httpError(404, 'Customer not found');
+  }
+  if (contact.type !== 'customer') {
+    throw httpError(400, 'Selected contact is not a customer');
+  }
+  return contact;
+};
+
+// Post the change in an invoice's credit to the customer's balance and ledger.
+// previous holds the customer/creditAmount that was posted before this change.
+const postCustomerCredit = async (invoice, previous, session) => {
+  const reference = invoice.invoiceNumber;
+  const sameCustomer = Boolean(previous.customer && invoice.customer &&
+    previous.customer.toString() === invoice.customer.toString());
+
+  // Customer changed: take the whole old credit off the previous customer
+  if (previous.customer && previous.creditAmount > 0 && !sameCustomer) {
+    await Ledger.postEntry({
+      contact: previous.customer,
+      transactionType: 'payable',
+      amount: previous.creditAmount,
+      description: `Credit reversed for invoice ${reference}`,
+      reference,
+      session
+    });
+  }
+
+  if (!invoice.customer) return;
+
+  const change = round2(invoice.creditAmount - (sameCustomer ? previous.creditAmount : 0));
+  if (change === 0) return;
+
+  await Ledger.postEntry({
+    contact: invoice.customer,
+    transactionType: change > 0 ? 'receivable' : 'payable',
+    amount: Math.abs(change),
+    description: sameCustomer ? `Credit adjusted for invoice ${reference}` : `Credit sale ${reference}`,
+    reference,
+    date: sameCustomer ? new Date() : invoice.date,
+    session
+  });
+};
+
+// Cost parts as { layer, quantity } totals keyed by layer (null for uncosted stock)
+const partKey = (part) => `${part.layer || ''}:${part.unitCost}`;
+
+// Cost layer parts of a sale line that have not been returned yet, oldest first
+const unreturnedParts = async (sale, session) => {
+  const parts = sale.costLayers.map(part => ({ layer: part.layer, quantity: part.quantity, unitCost: part.unitCost }));
+  if (!(sale.returnedQuantity > 0)) return parts;
+
+  const returned = new Map();
+  const returnLines = await Sale.find({ returnOf: sale._id }).select('costLayers').session(session);
+  returnLines.forEach(line => line.costLayers.forEach(part => {
+    returned.set(partKey(part), (returned.get(partKey(part)) || 0) + part.quantity);
+  }));
+
+  return parts.map(part => {
+    const left = returned.get(partKey(part)) || 0;
+    const used = Math.min(left, part.quantity);
+    returned.set(partKey(part), left - used);
+    return { ...part, quantity: round2(part.quantity - used) };
+  }).filter(part => part.quantity > 0);
+};
+
+// Take quantity from the newest of the given parts first
+const takeNewestParts = (parts, quantity) => {
+  const taken = [];
+  let remaining = quantity;
+  for (let i = parts.length - 1; i >= 0 && remaining > 0; i--) {
+    const take = Math.min(remaining, parts[i].quantity);
+    taken.push({ layer: parts[i].layer, quantity: take, unitCost: parts[i].unitCost });
+    remaining = round2(remaining - take);
+  }
+  return taken;
+};
+
+// Remove parts from a sale line's cost layers
+const removeParts = (sale, parts) => {
+  const removing = new Map();
+  parts.forEach(part => removing.set(partKey(part), (removing.get(partKey(part)) || 0) + part.quantity));
+
+  const kept = [];
+  for (let i = sale.costLayers.length - 1; i >= 0; i--) {
+    const part = sale.costLayers[i];
+    const left = removing.get(partKey(part)) || 0;
+    const used = Math.min(left, part.quantity);
+    removing.set(partKey(part), left - used);
+    if (part.quantity - used > 0) {
+      kept.unshift({ layer: part.layer, quantity: round2(part.quantity - used), unitCost: part.unitCost });
+    }
+  }
+  sale.costLayers = kept;
+};
+
+const setCostOfGoods = (sale) => {
+  sale.costOfGoods = round2(sale.costLayers.reduce((sum, part) => sum + part.quantity * part.unitCost, 0));
+};
+
+// Take quantity of a sale line out of stock and out of the oldest FIFO layers.
+// The parts are costed at their layer cost, or at the average cost when the shop
+// uses average costing. The caller saves the line.
+const deductSaleStock = async (sale, userId, session, quantity = sale.quantity) => {
+  const inventory = await Inventory.adjustStock({
+    product: sale.product,
+    color: sale.color,
+    quantity: -quantity,
+    userId,
+    session,
+    type: 'sale',
+    reference: { model: 'Sale', id: sale._id, number: sale.invoiceReference }
+  });
+  let parts = await CostLayer.consume({ product: sale.product, color: sale.color, quantity, session });
+
+  const settings = await Setting.getSettings(session);
+  if (settings.costing.method === 'average') {
+    const unitCost = await inventory.getAverageCost(session);
+    parts = parts.map(part => ({ ...part, unitCost }));
+  }
+
+  sale.costLayers.push(...parts);
+  setCostOfGoods(sale);
+};
+
+// Put quantity of a sale line back into stock and into the cost layers it was
+// taken from, newest first. The caller saves the line.
+const restoreSaleStock = async (sale, userId, session, quantity = sale.quantity) => {
+  await Inventory.adjustStock({
+    product: sale.product,
+    color: sale.color,
+    quantity,
+    userId,
+    session,
+    type: 'sale',
+    reference: { model: 'Sale', id: sale._id, number: sale.invoiceReference },
+    note: 'Sale changed or deleted'
+  });
+  const parts = takeNewestParts(await unreturnedParts(sale, session), quantity);
+  await CostLayer.restore(parts, session);
+  removeParts(sale, parts);
+  setCostOfGoods(sale);
+};
+
+// Restock a return line into the cost layers its original sale line was taken from
+const returnSaleStock = async (returnLine, originalLine, userId, session) => {
+  await Inventory.adjustStock({
+    product: returnLine.product,
+    color: returnLine.color,
+    quantity: returnLine.quantity,
+    userId,
+    session,
+    type: 'sale_return',
+    reference: { model: 'Sale', id: returnLine._id, number: returnLine.invoiceReference }
+  });
+  const parts = takeNewestParts(await unreturnedParts(originalLine, session), returnLine.quantity);
+  await CostLayer.restore(parts, session);
+  returnLine.costLayers = parts;
+  setCostOfGoods(returnLine);
+};
+
+// Take the stock of a deleted return back out of the layers it went into
+const unreturnSaleStock = async (returnLine, userId, session) => {
+  await Inventory.adjustStock({
+    product: returnLine.product,
+    color: returnLine.color,
+    quantity: -returnLine.quantity,
+    userId,
+    session,
+    type: 'sale_return',
+    reference: { model: 'Sale', id: returnLine._id, number: returnLine.invoiceReference },
+    note: 'Sale return deleted'
+  });
+  await CostLayer.reconsume({
+    product: returnLine.product,
+    color: returnLine.color,
+    parts: returnLine.costLayers,
+    session
+  });
+};
+
+// Create the sale lines of an invoice and deduct their stock
+const addInvoiceLines = async (invoice, items, userId, session, { allowPriceOverride = false } = {}) => {
+  const customer = invoice.customer ? await Contact.findById(invoice.customer).session(session) : null;
+  const lines = await prepareLines(items, session, { customer, allowPriceOverride });
+
+  const sales = await Sale.create(lines.map(line => ({
+    invoice: invoice._id,
+    invoiceReference: invoice.invoiceNumber,
+    invoiceDiscount: invoice.discount,
+    product: line.product,
+    color: line.color,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    discount: line.discount,
+    priceSource: line.priceSource,
+    priceList: line.priceList,
+    taxRate: line.taxRate,
+    taxInclusive: line.taxInclusive,
+    totalAmount: Sale.calculateTotal({ ...line, invoiceDiscount: invoice.discount }),
+    saleType: invoice.saleType,
+    createdBy: userId,
+    date: invoice.date
+  })), { session, ordered: true });
+
+  for (const sale of sales) {
+    await deductSaleStock(sale, userId, session);
+    await sale.save({ session });
+  }
+
+  return sales;
+};
+
+// Set subtotal, discount, tax and total of an invoice from its lines
+const setInvoiceTotals = (invoice, lines) => {
+  let subtotal = 0;
+  let discountAmount = 0;
+  let taxAmount = 0;
+  let totalAmount = 0;
+  for (const line of lines) {
+    const lineAmount = line.quantity * line.unitPrice * (1 - line.discount / 100);
+    subtotal += lineAmount;
+    discountAmount += lineAmount * (line.invoiceDiscount || 0) / 100;
+    taxAmount += line.taxAmount || 0;
+    totalAmount += line.totalAmount;
+  }
+
+  invoice.subtotal = round2(subtotal);
+  invoice.discountAmount = round2(discountAmount);
+  invoice.taxAmount = round2(taxAmount);
+  invoice.totalAmount = round2(totalAmount);
+};
+
+// Validate payment lines ({ method, amount, reference })
+const parsePayments = (payments) => {
+  if (!Array.isArray(payments)) {
+    throw httpError(400, 'payments must be an array of { method, amount, reference }');
+  }
+
+  return payments.map((payment, i) => {
+    const amount = parseFloat(payment.amount);
+    if (!paymentMethods.includes(payment.method)) {
+      throw httpError(400, `Payment ${i + 1}: method must be one of ${paymentMethods.join(', ')}`);
+    }
+    if (!(amount > 0)) {
+      throw httpError(400, `Payment ${i + 1}: amount must be greater than 0`);
+    }
+    return { method: payment.method, amount: round2(amount), reference: payment.reference };
+  });
+};
+
+// Work out the payment lines of an invoice after its total is known:
+// explicit payments win, a bare amountPaid is taken as cash, and a fully
+// paid invoice keeps following its total when it has a single payment
+const resolvePayments = (invoice, { payments, amountPaid, wasPaid }) => {
+  if (payments !== undefined && payments !== null) {
+    return parsePayments(payments);
+  }
+
+  if (amountPaid !== undefined && amountPaid !== null && amountPaid !== '') {
+    const amount = parseFloat(amountPaid);
+    if (!(amount >= 0)) {
+      throw httpError(400, 'Amount paid must be a positive number');
+    }
+    return amount > 0 ? [{ method: 'cash', amount: round2(amount) }] : [];
+  }
+
+  // Invoices recorded before split tender only carry amountPaid (cash)
+  const current = invoice.payments.length > 0
+    ? invoice.payments.map(p => ({ method: p.method, amount: p.amount, reference: p.reference }))
+    : (invoice.amountPaid > 0 ? [{ method: 'cash', amount: invoice.amountPaid }] : []);
+
+  if (wasPaid && invoice.totalAmount > 0) {
+    if (current.length <= 1) {
+      return [{ ...(current[0] || { method: 'cash' }), amount: invoice.totalAmount }];
+    }
+    const paid = round2(current.reduce((sum, p) => sum + p.amount, 0));
+    if (paid !== invoice.totalAmount) {
+      throw httpError(400, 'The invoice total changed; please provide payments for the new total');
+    }
+  }
+
+  return current;
+};
+
+// Recompute invoice totals, payment status and customer credit from its lines.
+// A fully paid invoice stays fully paid unless payments/amountPaid are given.
+const recalculateInvoice = async (invoice, session, { payments, amountPaid, previous } = {}) => {
+  const wasPaid = invoice.paymentStatus === 'paid';
+  const posted = previous || (invoice.isNew
+    ? { customer: null, creditAmount: 0 }
+    : { customer: invoice.customer, creditAmount: invoice.creditAmount });
+  const lines = await Sale.find({ invoice: invoice._id }).session(session);
+
+  for (const line of lines) {
+    if (line.invoiceDiscount !== invoice.discount) {
+      line.invoiceDiscount = invoice.discount;
+      await line.save({ session });
+    }
+  }
+  setInvoiceTotals(invoice, lines);
+
+  invoice.payments = resolvePayments(invoice, { payments, amountPaid, wasPaid });
+  invoice.amountPaid = round2(invoice.payments.reduce((sum, p) => sum + p.amount, 0));
+
+  if (invoice.amountPaid > invoice.totalAmount) {
+    throw httpError(400, 'Payments cannot exceed the invoice total');
+  }
+
+  invoice.creditAmount = round2(invoice.totalAmount - invoice.amountPaid);
+  if (invoice.creditAmount > 0 && !invoice.customer) {
+    throw httpError(400, 'Select a customer to record the unpaid amount on credit');
+  }
+
+  invoice.updatePaymentStatus();
+  await invoice.save({ session });
+  await postCustomerCredit(invoice, posted, session);
+  return invoice;
+};
+
+// Create a complete invoice: header, lines, stock deduction and totals
+const createSaleInvoice = async (data, userId, session, options = {}) => {
+  const { items, discount = 0, date, customer, customerName, payments, amountPaid, saleType = 'daily', notes } = data;
+  const invoiceDate = date ? new Date(date) : new Date();
+
+  if (isNaN(invoiceDate.getTime())) {
+    throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+  }
+  if (!['daily', 'bulk'].includes(saleType)) {
+    throw httpError(400, 'saleType must be daily or bulk. Use the returns endpoint for returns');
+  }
+
+  const customerDoc = await resolveCustomer(customer, session);
+  const shift = await Shift.findOpen(userId, session);
+
+  const invoice = new Invoice({
+    invoiceNumber: await Counter.nextNumber('sale', invoiceDate, session),
+    date: invoiceDate,
+    customer: customerDoc ? customerDoc._id : null,
+    customerName: customerDoc ? customerDoc.name : (customerName || undefined),
+    discount: parseDiscount(discount),
+    saleType,
+    notes,
+    createdBy: userId,
+    shift: shift ? shift._id : null
+  });
+
+  await addInvoiceLines(invoice, items, userId, session, options);
+  await recalculateInvoice(invoice, session, { payments, amountPaid });
+
+  return invoice;
+};
+
+// List the fields whose value differs between a document and the new values
+const diffFields = (doc, next, fields) => fields
+  .filter(field => String(doc[field] ?? '') !== String(next[field] ?? ''))
+  .map(field => ({ field, from: doc[field] ?? null, to: next[field] ?? null }));
+
+// Apply product/color/quantity/price changes to one sale line.
+// Only the difference is moved in stock; the edit is recorded on the line.
+const applySaleLineChanges = async (sale, data, userId, session, { allowPriceOverride = false } = {}) => {
+  if (sale.saleType === 'return') {
+    throw httpError(400, 'Return lines cannot be edited. Delete the return and record it again');
+  }
+
+  const next = {
+    product: data.product !== undefined ? data.product : sale.product,
+    color: data.color !== undefined ? (data.color || null) : sale.color,
+    quantity: data.quantity !== undefined ? parseFloat(data.quantity) : sale.quantity,
+    unitPrice: data.unitPrice !== undefined ? parseFloat(data.unitPrice) : sale.unitPrice,
+    discount: data.discount !== undefined ? parseDiscount(data.discount) : sale.discount
+  };
+
+  if (!(next.quantity > 0) || !(next.unitPrice >= 0)) {
+    throw httpError(400, 'quantity and unitPrice must be positive numbers');
+  }
+
+  const productDoc = await Product.findById(next.product).session(session);
+  if (!productDoc) {
+    throw httpError(404, 'Product not found');
+  }
+  next.product = productDoc._id;
+
+  // A different product takes its own current tax rate
+  if (String(next.product) !== String(sale.product)) {
+    const settings = await Setting.getSettings(session);
+    next.taxRate = settings.taxRateFor(productDoc);
+    next.taxInclusive = settings.tax.mode === 'inclusive';
+  }
+
+  const sameStockRow = String(next.product) === String(sale.product) &&
+    String(next.color || '') === String(sale.color || '');
+
+  if (sale.returnedQuantity > 0 && (!sameStockRow || next.quantity < sale.returnedQuantity)) {
+    throw httpError(400, `This sale has ${sale.returnedQuantity} returned unit(s); product and color cannot change and quantity cannot go below that`);
+  }
+
+  const changes = diffFields(sale, next, ['product', 'color', 'quantity', 'unitPrice', 'discount']);
+  if (changes.length === 0) return sale;
+
+  // Prices that came from a customer price list are only changed with permission
+  if (changes.some(change => ['unitPrice', 'discount'].includes(change.field))) {
+    if (['price_list', 'customer'].includes(sale.priceSource) && !allowPriceOverride) {
+      throw httpError(403, 'This line is priced from the customer price list. Changing it needs admin permission');
+    }
+    next.priceSource = 'manual';
+  }
+
+  if (sameStockRow) {
+    const difference = next.quantity - sale.quantity;
+    if (difference > 0) await deductSaleStock(sale, userId, session, difference);
+    if (difference < 0) await restoreSaleStock(sale, userId, session, -difference);
+    sale.set(next);
+  } else {
+    await restoreSaleStock(sale, userId, session);
+    sale.set(next);
+    await deductSaleStock(sale, userId, session);
+  }
+
+  sale.editHistory.push({ editedBy: userId, editedAt: new Date(), changes });
+  await sale.save({ session });
+  return sale;
+};
+
+// Edit a single sale line and recalculate its invoice
+const updateSaleLine = async (sale, data, userId, session, options = {}) => {
+  await applySaleLineChanges(sale, data, userId, session, options);
+
+  if (sale.invoice) {
+    const invoice = await Invoice.findById(sale.invoice).session(session);
+    if (invoice) await recalculateInvoice(invoice, session);
+  }
+  return sale;
+};
+
+// Update invoice header and, when items are given, sync its lines:
+// items with _id are edited in place, new items are added, missing lines removed
+const updateSaleInvoice = async (invoice, data, userId, session, options = {}) => {
+  const { items, discount, date, customer, customerName, payments, amountPaid, notes } = data;
+  const previous = { customer: invoice.customer, creditAmount: invoice.creditAmount };
+  const before = invoice.toObject();
+
+  if (invoice.saleType === 'return') {
+    throw httpError(400, 'Returns cannot be edited. Delete the return and record it again');
+  }
+
+  if (discount !== undefined) invoice.discount = parseDiscount(discount);
+  if (customer !== undefined) {
+    const customerDoc = await resolveCustomer(customer, session);
+    invoice.customer = customerDoc ? customerDoc._id : null;
+    invoice.customerName = customerDoc ? customerDoc.name : (customerName || 'Walk-in Customer');
+  } else if (customerName !== undefined && !invoice.customer) {
+    invoice.customerName = customerName || 'Walk-in Customer';
+  }
+  if (notes !== undefined) invoice.notes = notes;
+  if (date) {
+    invoice.date = new Date(date);
+    if (isNaN(invoice.date.getTime())) {
+      throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+    }
+  }
+
+  if (items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'An invoice needs at least one item');
+    }
+
+    const oldLines = await Sale.find({ invoice: invoice._id }).session(session);
+    const kept = new Set(items.filter(item => item._id).map(item => String(item._id)));
+
+    for (const line of oldLines) {
+      if (kept.has(line.id)) continue;
+      if (line.returnedQuantity > 0) {
+        throw httpError(400, 'Lines with returns cannot be removed. Delete their returns first');
+      }
+      await restoreSaleStock(line, userId, session);
+      await Sale.deleteOne({ _id: line._id }, { session });
+    }
+
+    for (const item of items.filter(item => item._id)) {
+      const line = oldLines.find(old => old.id === String(item._id));
+      if (!line) {
+        throw httpError(404, `Sale line ${item._id} not found on this invoice`);
+      }
+      await applySaleLineChanges(line, item, userId, session, options);
+    }
+
+    const newItems = items.filter(item => !item._id);
+    if (newItems.length > 0) {
+      await addInvoiceLines(invoice, newItems, userId, session, options);
+    }
+  }
+
+  if (date) {
+    await Sale.updateMany({ invoice: invoice._id }, { date: invoice.date }, { session });
+  }
+
+  const changes = diffFields(before, invoice, ['customer', 'customerName', 'discount', 'date', 'notes']);
+  if (changes.length > 0) {
+    invoice.editHistory.push({ editedBy: userId, editedAt: new Date(), changes });
+  }
+
+  await recalculateInvoice(invoice, session, { payments, amountPaid, previous });
+  return invoice;
+};
+
+// Delete an invoice with all its lines and return their stock
+const deleteSaleInvoice = async (invoice, userId, session) => {
+  if (invoice.saleType === 'return') {
+    return deleteSaleReturn(invoice, userId, session);
+  }
+
+  const lines = await Sale.find({ invoice: invoice._id }).session(session);
+  if (lines.some(line => line.returnedQuantity > 0)) {
+    throw httpError(400, 'This invoice has returns. Delete its returns first');
+  }
+  for (const line of lines) {
+    await restoreSaleStock(line, userId, session);
+  }
+  await Sale.deleteMany({ invoice: invoice._id }, { session });
+  await invoice.deleteOne({ session });
+
+  // Take any outstanding credit back off the customer's balance
+  await postCustomerCredit(
+    { invoiceNumber: invoice.invoiceNumber, customer: invoice.customer, creditAmount: 0 },
+    invoice,
+    session
+  );
+};
+
+// Delete a single sale line; the invoice is recalculated, or removed when empty
+const deleteSaleLine = async (sale, userId, session) => {
+  if (sale.saleType === 'return') {
+    throw httpError(400, 'Return lines cannot be deleted individually. Delete the whole return');
+  }
+  if (sale.returnedQuantity > 0) {
+    throw httpError(400, 'This sale has returns. Delete its returns first');
+  }
+
+  await restoreSaleStock(sale, userId, session);
+  await Sale.deleteOne({ _id: sale._id }, { session });
+
+  if (!sale.invoice) return;
+
+  const invoice = await Invoice.findById(sale.invoice).session(session);
+  if (!invoice) return;
+
+  const remaining = await Sale.countDocuments({ invoice: invoice._id }).session(session);
+  if (remaining === 0) {
+    await invoice.deleteOne({ session });
+    await postCustomerCredit(
+      { invoiceNumber: invoice.invoiceNumber, customer: invoice.customer, creditAmount: 0 },
+      invoice,
+      session
+    );
+  } else {
+    await recalculateInvoice(invoice, session);
+  }
+};
+
+// Create a return (credit note) against sale lines of one invoice:
+// restock the returned quantity and refund (any payment method) or credit the customer
+const createSaleReturn = async (data, userId, session) => {
+  const { invoice, items, refundMethod = 'cash', reason, date } = data;
+  const returnDate = date ? new Date(date) : new Date();
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Please provide at least one item to return');
+  }
+  if (![...paymentMethods, 'credit'].includes(refundMethod)) {
+    throw httpError(400, `refundMethod must be credit or one of ${paymentMethods.join(', ')}`);
+  }
+  if (isNaN(returnDate.getTime())) {
+    throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const returned = [];
+  for (let i = 0; i < items.length; i++) {
+    const quantity = parseFloat(items[i].quantity);
+    if (!items[i].sale || !(quantity > 0)) {
+      throw httpError(400, `Item ${i + 1}: please provide sale and a positive quantity`);
+    }
+
+    const line = await Sale.findById(items[i].sale).session(session);
+    if (!line || line.saleType === 'return') {
+      throw httpError(404, `Item ${i + 1}: sale line not found`);
+    }
+    returned.push({ line, quantity });
+  }
+
+  const originalInvoiceId = returned[0].line.invoice;
+  if (returned.some(({ line }) => String(line.invoice || '') !== String(originalInvoiceId || ''))) {
+    throw httpError(400, 'All returned items must come from the same invoice');
+  }
+  if (invoice && String(invoice) !== String(originalInvoiceId)) {
+    throw httpError(400, 'Returned items do not belong to this invoice');
+  }
+
+  // Partial returns are allowed up to what has not been returned yet
+  const requested = new Map();
+  for (const { line, quantity } of returned) {
+    const total = (requested.get(line.id) || 0) + quantity;
+    requested.set(line.id, total);
+
+    const returnable = line.quantity - line.returnedQuantity;
+    if (total > returnable) {
+      throw httpError(400, `Cannot return ${total} of sale line ${line._id}. Returnable quantity: ${returnable}`);
+    }
+  }
+
+  const originalInvoice = originalInvoiceId
+    ? await Invoice.findById(originalInvoiceId).session(session)
+    : null;
+  const customer = originalInvoice ? originalInvoice.customer : null;
+
+  if (refundMethod === 'credit' && !customer) {
+    throw httpError(400, 'Only sales to a customer can be returned on credit');
+  }
+
+  const shift = await Shift.findOpen(userId, session);
+
+  const returnInvoice = new Invoice({
+    invoiceNumber: await Counter.nextNumber('return', returnDate, session),
+    date: returnDate,
+    customer,
+    customerName: originalInvoice ? originalInvoice.customerName : undefined,
+    discount: originalInvoice ? originalInvoice.discount : 0,
+    saleType: 'return',
+    originalInvoice: originalInvoiceId || null,
+    refundMethod,
+    reason,
+    createdBy: userId,
+    shift: shift ? shift._id : null
+  });
+
+  const returnLines = await Sale.create(returned.map(({ line, quantity }) => ({
+    invoice: returnInvoice._id,
+    invoiceReference: returnInvoice.invoiceNumber,
+    returnOf: line._id,
+    invoiceDiscount: line.invoiceDiscount,
+    product: line.product,
+    color: line.color,
+    quantity,
+    unitPrice: line.unitPrice,
+    discount: line.discount,
+    taxRate: line.taxRate,
+    taxInclusive: line.taxInclusive,
+    totalAmount: Sale.calculateTotal({ ...line.toObject(), quantity }),
+    saleType: 'return',
+    createdBy: userId,
+    date: returnDate
+  })), { session, ordered: true });
+
+  for (let i = 0; i < returnLines.length; i++) {
+    const returnLine = returnLines[i];
+    const { line } = returned[i];
+    await returnSaleStock(returnLine, line, userId, session);
+    await returnLine.save({ session });
+    line.returnedQuantity += returnLine.quantity;
+    await Sale.updateOne(
+      { _id: returnLine.returnOf },
+      { $inc: { returnedQuantity: returnLine.quantity } },
+      { session }
+    );
+  }
+
+  setInvoiceTotals(returnInvoice, returnLines);
+  if (refundMethod === 'credit') {
+    returnInvoice.amountPaid = 0;
+    returnInvoice.creditAmount = returnInvoice.totalAmount;
+  } else {
+    returnInvoice.payments = returnInvoice.totalAmount > 0
+      ? [{ method: refundMethod, amount: returnInvoice.totalAmount, reference: data.refundReference }]
+      : [];
+    returnInvoice.amountPaid = returnInvoice.totalAmount;
+    returnInvoice.creditAmount = 0;
+  }
+  returnInvoice.paymentStatus = 'paid';
+  await returnInvoice.save({ session });
+
+  if (returnInvoice.creditAmount > 0) {
+    await Ledger.postEntry({
+      contact: customer,
+      transactionType: 'payable',
+      amount: returnInvoice.creditAmount,
+      description: `Return ${returnInvoice.invoiceNumber} against invoice ${originalInvoice.invoiceNumber}`,
+      reference: returnInvoice.invoiceNumber,
+      date: returnDate,
+      session
+    });
+  }
+
+  return returnInvoice;
+};
+
+// Delete a return: take the stock back out and reverse the customer credit
+const deleteSaleReturn = async (returnInvoice, userId, session) => {
+  const lines = await Sale.find({ invoice: returnInvoice._id }).session(session);
+  for (const line of lines) {
+    await unreturnSaleStock(line, userId, session);
+    await Sale.updateOne(
+      { _id: line.returnOf },
+      { $inc: { returnedQuantity: -line.quantity } },
+      { session }
+    );
+  }
+  await Sale.deleteMany({ invoice: returnInvoice._id }, { session });
+  await returnInvoice.deleteOne({ session });
+
+  if (returnInvoice.customer && returnInvoice.creditAmount > 0) {
+    await Ledger.postEntry({
+      contact: returnInvoice.customer,
+      transactionType: 'receivable',
+      amount: returnInvoice.creditAmount,
+      description: `Return ${returnInvoice.invoiceNumber} deleted`,
+      reference: returnInvoice.invoiceNumber,
+      session
+    });
+  }
+};
+
+// Populate an invoice query with its line items for API responses
+const populateInvoice = (query) => query
+  .populate({
+    path: 'items',
+    populate: [
+      { path: 'product', select: 'name type code salePrice' },
+      { path: 'color', select: 'name codeName hexCode' }
+    ]
+  })
+  .populate('customer', 'name phone balance')
+  .populate('originalInvoice', 'invoiceNumber date')
+  .populate('createdBy', 'name email');
+
+module.exports = {
+  createSaleInvoice,
+  updateSaleInvoice,
+  deleteSaleInvoice,
+  deleteSaleLine,
+  updateSaleLine,
+  createSaleReturn,
+  recalculateInvoice,
+  deductSaleStock,
+  restoreSaleStock,
+  populateInvoice
+};
@@ -0,0 +1,100 @@
+// utils/stockAdjustment.js - Posting stock adjustments, shared by the adjustment API and stock takes
+const StockAdjustment = require('../models/stockAdjustment.model');
+const Inventory = require('../models/inventory.model');
+const CostLayer = require('../models/costLayer.model');
+const Counter = require('../models/counter.model');
+const Setting = require('../models/setting.model');
+const httpError = require('./httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+// Write stock on or off one product + color row with a reason.
+// Stock written off comes out of the oldest cost layers (at the average cost
+// under average costing); stock found goes into a new layer at the average cost.
+// Staff may only post adjustments up to the value limit in settings.
+// Must run inside the caller's transaction.
+const postStockAdjustment = async ({ product, color = null, quantity, reason, note, date, stockTake = null, user, session }) => {
+  if (!StockAdjustment.ADJUSTMENT_REASONS.includes(reason)) {
+    throw httpError(400, `Please give a reason: ${StockAdjustment.ADJUSTMENT_REASONS.join(', ')}`);
+  }
+
+  const qty = parseFloat(quantity);
+  if (!qty) {
+    throw httpError(400, 'Quantity must be a number other than zero');
+  }
+
+  const adjustmentDate = date ? new Date(date) : new Date();
+  if (isNaN(adjustmentDate.getTime())) {
+    throw httpError(400, 'Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const settings = await Setting.getSettings(session);
+  const adjustment = new StockAdjustment({
+    adjustmentNumber: await Counter.nextNumber('stock_adjustment', adjustmentDate, session),
+    date: adjustmentDate,
+    product,
+    color: color || null,
+    reason,
+    quantity: qty,
+    stockTake,
+    note,
+    createdBy: user.id
+  });
+
+  const inventory = await Inventory.adjustStock({
+    product,
+    color: color || null,
+    quantity: qty,
+    userId: user.id,
+    session,
+    type: 'adjustment',
+    reference: { model: 'StockAdjustment', id: adjustment._id, number: adjustment.adjustmentNumber },
+    note: note ? `${reason}: ${note}` : reason
+  });
+
+  let costLayers;
+  if (qty < 0) {
+    costLayers = await CostLayer.consume({ product, color: color || null, quantity: -qty, session });
+    if (settings.costing.method === 'average') {
+      const unitCost = await inventory.getAverageCost(session);
+      costLayers = costLayers.map(part => ({ ...part, unitCost }));
+    }
+  } else {
+    const unitCost = await inventory.getAverageCost(session);
+    const [layer] = await CostLayer.create([{
+      product,
+      color: color || null,
+      date: adjustmentDate,
+      source: 'adjustment',
+      receivedQuantity: qty,
+      remainingQuantity: qty,
+      unitCost
+    }], { session });
+    costLayers = [{ layer: layer._id, quantity: qty, unitCost }];
+  }
+
+  const cost = round2(costLayers.reduce((sum, part) => sum + part.quantity * part.unitCost, 0));
+  const value = qty < 0 ? -cost : cost;
+
+  const limit = settings.adjustments.staffValueLimit;
+  if (!ADMIN_ROLES.includes(user.role) && Math.abs(value) > limit) {
+    throw httpError(403, `Adjustments worth more than ${limit} at cost need an admin. This one is ${Math.abs(value)}`);
+  }
+
+  adjustment.set({
+    inventory: inventory._id,
+    balanceAfter: inventory.quantity,
+    unitCost: parseFloat((cost / Math.abs(qty)).toFixed(4)),
+    value,
+    costLayers
+  });
+  await adjustment.save({ session });
+
+  return adjustment;
+};
+
+module.exports = {
+  postStockAdjustment
+};
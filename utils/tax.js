@@ -0,0 +1,35 @@
+// utils/tax.js - Sales tax arithmetic shared by sales, quotations and purchases
+const httpError = require('./httpError');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Split an amount into net, tax and total. With inclusive pricing the amount
+// already contains the tax; with exclusive pricing the tax is added on top.
+const splitTax = (amount, taxRate = 0, taxInclusive = false) => {
+  if (!taxRate) {
+    const total = round2(amount);
+    return { netAmount: total, taxAmount: 0, totalAmount: total };
+  }
+
+  if (taxInclusive) {
+    const totalAmount = round2(amount);
+    const taxAmount = round2(amount * taxRate / (100 + taxRate));
+    return { netAmount: round2(totalAmount - taxAmount), taxAmount, totalAmount };
+  }
+
+  const netAmount = round2(amount);
+  const taxAmount = round2(amount * taxRate / 100);
+  return { netAmount, taxAmount, totalAmount: round2(netAmount + taxAmount) };
+};
+
+// Validate a tax rate from a request body; empty means "not given"
+const parseTaxRate = (value, label = 'Tax rate') => {
+  if (value === undefined || value === null || value === '') return null;
+  const rate = parseFloat(value);
+  if (isNaN(rate) || rate < 0 || rate > 100) {
+    throw httpError(400, `${label} must be between 0 and 100`);
+  }
+  return rate;
+};
+
+module.exports = { splitTax, parseTaxRate };